@@ -0,0 +1,404 @@
+// archive.js — archive page: list, open, re-export and delete stored captures
+// Talks to the background worker, which owns the IndexedDB archive
+
+import { formatMessage, selectBranches } from "../lib/formatter.js";
+import { buildExport, zipFiles } from "../lib/export.js";
+import { fromCanonical, readBundleZip } from "../lib/importer.js";
+import { DEFAULT_SETTINGS, loadSettings } from "../lib/settings.js";
+
+const searchInput = document.getElementById("search");
+const resultsEl = document.getElementById("results");
+const filterInput = document.getElementById("filter");
+const modelSelect = document.getElementById("model");
+const orderSelect = document.getElementById("orderBy");
+const countEl = document.getElementById("count");
+const rowsEl = document.getElementById("rows");
+const previewEl = document.getElementById("preview");
+const previewTitle = document.getElementById("previewTitle");
+const previewMeta = document.getElementById("previewMeta");
+const previewBody = document.getElementById("previewBody");
+const importBtn = document.getElementById("importBtn");
+const importFile = document.getElementById("importFile");
+const toast = document.getElementById("toast");
+
+let selectedId = null;
+let settings = DEFAULT_SETTINGS;
+
+async function refresh() {
+  const orderBy = orderSelect.value;
+  const result = await chrome.runtime.sendMessage({
+    type: "LIST_CAPTURES",
+    filter: {
+      orderBy,
+      direction: orderBy === "name" ? "next" : "prev",
+      query: filterInput.value,
+      model: modelSelect.value,
+    },
+  });
+
+  if (!result?.ok) {
+    showToast("Could not load archive: " + (result?.error || "unknown"), true);
+    return;
+  }
+
+  renderRows(result.captures);
+  if (!modelSelect.value && !filterInput.value) updateModels(result.captures);
+}
+
+function renderRows(captures) {
+  countEl.textContent = `${captures.length} conversation${captures.length === 1 ? "" : "s"}`;
+
+  if (!captures.length) {
+    const row = document.createElement("tr");
+    const empty = cell(filterInput.value || modelSelect.value ? "No matches" : "Nothing archived yet", "empty");
+    empty.colSpan = 5;
+    row.append(empty);
+    rowsEl.replaceChildren(row);
+    return;
+  }
+
+  rowsEl.replaceChildren(
+    ...captures.map((capture) => {
+      const row = document.createElement("tr");
+      if (capture.conversationId === selectedId) row.className = "selected";
+
+      const title = cell(capture.name || capture.conversationId, "title");
+      title.title = capture.conversationId;
+
+      const actions = cell("", "actions");
+      actions.append(
+        button("Open", () => openCapture(capture.conversationId)),
+        button(".md", () => exportAs(capture.conversationId, "markdown")),
+        button("Bundle", () => exportAs(capture.conversationId, "bundle")),
+        formatMenu(capture.conversationId),
+        button("Delete", () => removeCapture(capture), "danger")
+      );
+
+      row.append(
+        title,
+        cell(capture.model),
+        cell(String(capture.messageCount)),
+        cell(formatDate(capture.capturedAt)),
+        actions
+      );
+      return row;
+    })
+  );
+}
+
+// Model dropdown is built from whatever is archived
+function updateModels(captures) {
+  const models = [...new Set(captures.map((c) => c.model))].sort();
+  modelSelect.replaceChildren(
+    new Option("All models", ""),
+    ...models.map((m) => new Option(m, m))
+  );
+}
+
+async function loadCapture(conversationId) {
+  const result = await chrome.runtime.sendMessage({
+    type: "GET_CAPTURE_DATA",
+    conversationId,
+  });
+  if (!result?.ok) throw new Error(result?.error || "No capture found");
+  return result;
+}
+
+// Preview shows every branch so search hits on alternates can be jumped to
+async function openCapture(conversationId, messageUuid = null) {
+  try {
+    const result = await loadCapture(conversationId);
+    selectedId = conversationId;
+
+    previewTitle.textContent = result.name || conversationId;
+    previewMeta.replaceChildren(
+      `${result.data?.model || "unknown"} · ${result.data?.chat_messages?.length || 0} messages · `,
+      link("Open on claude.ai", `https://claude.ai/chat/${conversationId}`)
+    );
+
+    const sections = [];
+    for (const segment of selectBranches(result.data, { branch: "all", settings })) {
+      if (segment.label) {
+        const heading = document.createElement("h2");
+        heading.textContent = segment.label;
+        sections.push(heading);
+      }
+      for (const msg of segment.messages) {
+        const section = document.createElement("section");
+        if (msg.uuid) section.id = `msg-${msg.uuid}`;
+        const pre = document.createElement("pre");
+        pre.textContent = formatMessage(msg, "inline", settings);
+        section.append(pre);
+        sections.push(section);
+      }
+    }
+    previewBody.replaceChildren(...sections);
+    previewEl.className = "preview visible";
+
+    const target = messageUuid && document.getElementById(`msg-${messageUuid}`);
+    if (target) {
+      target.className = "target";
+      target.scrollIntoView({ behavior: "smooth", block: "start" });
+      setTimeout(() => { target.className = ""; }, 1500);
+    } else {
+      previewEl.scrollIntoView({ behavior: "smooth" });
+    }
+
+    refresh();
+  } catch (err) {
+    showToast("Open failed: " + err.message, true);
+  }
+}
+
+async function runSearch() {
+  const query = searchInput.value.trim();
+  if (!query) {
+    resultsEl.className = "results";
+    resultsEl.replaceChildren();
+    return;
+  }
+
+  const result = await chrome.runtime.sendMessage({
+    type: "SEARCH_CAPTURES",
+    query,
+    limit: 50,
+  });
+  if (!result?.ok) {
+    showToast("Search failed: " + (result?.error || "unknown"), true);
+    return;
+  }
+
+  resultsEl.className = "results visible";
+  if (!result.results.length) {
+    const li = document.createElement("li");
+    li.className = "empty";
+    li.textContent = "No matches";
+    resultsEl.replaceChildren(li);
+    return;
+  }
+
+  resultsEl.replaceChildren(
+    ...result.results.map((hit) => {
+      const li = document.createElement("li");
+
+      const where = document.createElement("div");
+      where.className = "where";
+      where.textContent = `${hit.name || hit.conversationId} · message ${hit.messageIndex + 1} (${hit.sender}) · ${hit.kind.replace("_", " ")}`;
+
+      const snippet = document.createElement("div");
+      snippet.className = "snippet";
+      snippet.append(...highlight(hit.snippet, hit.highlights));
+
+      const body = document.createElement("div");
+      body.className = "hit";
+      body.append(where, snippet);
+
+      const exportBtn = button("Export", (e) => {
+        e.stopPropagation();
+        exportAs(hit.conversationId, "markdown");
+      });
+
+      li.append(body, exportBtn);
+      li.addEventListener("click", () => openCapture(hit.conversationId, hit.messageUuid));
+      return li;
+    })
+  );
+}
+
+// Snippet text with <mark> around highlight ranges — built as nodes, never HTML
+function highlight(text, ranges) {
+  const nodes = [];
+  let pos = 0;
+  for (const [start, end] of ranges) {
+    if (start > pos) nodes.push(text.slice(pos, start));
+    const mark = document.createElement("mark");
+    mark.textContent = text.slice(start, end);
+    nodes.push(mark);
+    pos = end;
+  }
+  if (pos < text.length) nodes.push(text.slice(pos));
+  return nodes;
+}
+
+// One of lib/export.js's formats, from the archived copy
+async function exportAs(conversationId, format) {
+  try {
+    const result = await loadCapture(conversationId);
+    const file = buildExport(format, result, { settings });
+    const blob = file.files
+      ? await zipFiles(JSZip, file.files)
+      : new Blob([file.text], { type: file.type });
+    downloadBlob(blob, file.filename);
+    showToast(file.files
+      ? `${file.filename}: ${file.summary}, ${(blob.size / 1024 / 1024).toFixed(1)}MB`
+      : "Downloaded " + file.filename);
+  } catch (err) {
+    showToast("Export failed: " + err.message, true);
+  }
+}
+
+// Formats beyond the .md and Bundle buttons
+const MORE_FORMATS = [
+  ["html", "HTML"],
+  ["json", "JSON"],
+  ["jsonl", "JSONL"],
+  ["outliner", "Outliner"],
+  ["obsidian", "Obsidian (.zip)"],
+];
+
+function formatMenu(conversationId) {
+  const menu = document.createElement("select");
+  menu.title = "Export in another format";
+  menu.append(new Option("More…", ""), ...MORE_FORMATS.map(([format, label]) => new Option(label, format)));
+  menu.addEventListener("change", () => {
+    const format = menu.value;
+    menu.value = "";
+    if (format) exportAs(conversationId, format);
+  });
+  return menu;
+}
+
+// ─── Import ───
+
+importBtn.addEventListener("click", () => importFile.click());
+
+importFile.addEventListener("change", async () => {
+  const picked = [...importFile.files];
+  importFile.value = "";
+  if (!picked.length) return;
+
+  let imported = 0;
+  const failures = [];
+  for (const file of picked) {
+    try {
+      for (const capture of await readImport(file)) {
+        if (await storeImport(capture)) imported++;
+      }
+    } catch (err) {
+      failures.push(`${file.name}: ${err.message}`);
+    }
+  }
+
+  if (failures.length) {
+    showToast(`Imported ${imported}; ${failures.join("; ")}`, true);
+  } else {
+    showToast(`Imported ${imported} conversation${imported === 1 ? "" : "s"}`);
+  }
+  refresh();
+});
+
+// File → captures (see lib/importer.js)
+async function readImport(file) {
+  if (/\.zip$/i.test(file.name) || file.type.includes("zip")) {
+    return readBundleZip(await JSZip.loadAsync(file));
+  }
+  let canonical;
+  try {
+    canonical = JSON.parse(await file.text());
+  } catch {
+    throw new Error("not JSON — pick a bundle .zip or a conversation .json");
+  }
+  return [await fromCanonical(canonical)];
+}
+
+// true when stored; asks before replacing a capture that's already archived
+async function storeImport(capture) {
+  let result = await chrome.runtime.sendMessage({ type: "IMPORT_CAPTURE", capture });
+  if (result?.exists) {
+    const label = capture.name || capture.conversationId;
+    if (!confirm(`"${label}" is already in the archive. Replace it with the imported copy?`)) return false;
+    result = await chrome.runtime.sendMessage({ type: "IMPORT_CAPTURE", capture, replace: true });
+  }
+  if (!result?.ok) throw new Error(result?.error || "import failed");
+  return true;
+}
+
+async function removeCapture(capture) {
+  if (!confirm(`Delete "${capture.name || capture.conversationId}" from the archive?`)) return;
+
+  const result = await chrome.runtime.sendMessage({
+    type: "DELETE_CAPTURE",
+    conversationId: capture.conversationId,
+  });
+  if (!result?.ok) {
+    showToast("Delete failed: " + (result?.error || "unknown"), true);
+    return;
+  }
+
+  if (selectedId === capture.conversationId) {
+    selectedId = null;
+    previewEl.className = "preview";
+  }
+  showToast("Deleted");
+  refresh();
+}
+
+// ─── Helpers ───
+
+function cell(text, className = "") {
+  const td = document.createElement("td");
+  td.textContent = text;
+  if (className) td.className = className;
+  return td;
+}
+
+function button(label, onClick, className = "") {
+  const btn = document.createElement("button");
+  btn.textContent = label;
+  if (className) btn.className = className;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function link(text, href) {
+  const a = document.createElement("a");
+  a.textContent = text;
+  a.href = href;
+  a.target = "_blank";
+  return a;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function formatDate(iso) {
+  if (!iso) return "";
+  return new Date(iso).toLocaleString([], {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function showToast(msg, isError = false) {
+  toast.textContent = msg;
+  toast.className = `toast visible${isError ? " error" : ""}`;
+  setTimeout(() => {
+    toast.className = "toast";
+  }, 3000);
+}
+
+let searchTimer = null;
+searchInput.addEventListener("input", () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, 250);
+});
+
+let filterTimer = null;
+filterInput.addEventListener("input", () => {
+  clearTimeout(filterTimer);
+  filterTimer = setTimeout(refresh, 200);
+});
+modelSelect.addEventListener("change", refresh);
+orderSelect.addEventListener("change", refresh);
+
+loadSettings().then((loaded) => { settings = loaded; });
+refresh();
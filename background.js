@@ -1,10 +1,27 @@
-// background.js — service worker
+// background.js — service worker (ES module)
 // Stores captured conversation data, handles export orchestration
 
+import "./lib/jszip.min.js"; // Classic script — sets self.JSZip
+import { putCapture, getCapture, getSummary, listCaptures, deleteCapture, searchCaptures } from "./lib/archive.js";
+import { pushCapture, processOutbox, getOutbox, retryOutbox, OUTBOX_ALARM } from "./lib/outbox.js";
+import { buildExport, zipFiles, FRESH_FETCH_FORMATS } from "./lib/export.js";
+import { lastMessageUuid } from "./lib/formatter.js";
+import { loadSettings } from "./lib/settings.js";
+import { findRedactions } from "./lib/redact.js";
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
     case "CONVERSATION_CAPTURED":
-      handleCapture(message, sender?.tab?.id);
+      handleCapture(message, sender?.tab?.id).catch((err) => {
+        console.error("[float-export] capture error:", err);
+        notifyFetch(message.requestId, { type: "error", error: err.message });
+        finishFetch(message.requestId);
+      });
+      sendResponse({ ok: true });
+      break;
+
+    case "TURN_CAPTURED":
+      handleTurn(message).catch((err) => console.error("[float-export] turn error:", err));
       sendResponse({ ok: true });
       break;
 
@@ -13,8 +30,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ ok: true });
       break;
 
+    case "EMBED_PROGRESS":
+      notifyFetch(message.requestId, {
+        type: "progress",
+        done: message.done,
+        total: message.total,
+        bytes: message.bytes,
+        failed: message.failed,
+        skipped: message.skipped,
+        file: message.file,
+      });
+      sendResponse({ ok: true });
+      break;
+
     case "FETCH_ERROR":
       console.error("[float-export] fetch error:", message.error);
+      notifyFetch(message.requestId, { type: "error", error: message.error });
+      finishFetch(message.requestId);
       sendResponse({ ok: false, error: message.error });
       break;
 
@@ -22,30 +54,348 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       getStatus(message.conversationId).then(sendResponse);
       return true; // async
 
-    case "TRIGGER_EXPORT":
-      triggerExport(message.conversationId, message.tabId).then(sendResponse);
-      return true; // async
-
     case "GET_CAPTURE_DATA":
       getCaptureData(message.conversationId).then(sendResponse);
       return true; // async
 
+    case "RECORD_EXPORT":
+      recordExport(message.conversationId, message.messageUuid).then(sendResponse);
+      return true; // async
+
+    case "LIST_CAPTURES":
+      listCaptures(message.filter)
+        .then((captures) => sendResponse({ ok: true, captures }))
+        .catch((err) => sendResponse({ ok: false, error: err.message }));
+      return true; // async
+
+    case "SEARCH_CAPTURES":
+      searchCaptures(message.query, { limit: message.limit })
+        .then((results) => sendResponse({ ok: true, results }))
+        .catch((err) => sendResponse({ ok: false, error: err.message }));
+      return true; // async
+
+    case "DELETE_CAPTURE":
+      deleteCapture(message.conversationId)
+        .then(() => chrome.storage.local.remove(`export_${message.conversationId}`))
+        .then(() => sendResponse({ ok: true }))
+        .catch((err) => sendResponse({ ok: false, error: err.message }));
+      return true; // async
+
+    case "IMPORT_CAPTURE":
+      importCapture(message.capture, { replace: message.replace })
+        .then(sendResponse)
+        .catch((err) => sendResponse({ ok: false, error: err.message }));
+      return true; // async
+
+    case "PUSH_CAPTURE":
+      pushCapture(message.conversationId)
+        .then((results) => sendResponse({ ok: true, results }))
+        .catch((err) => sendResponse({ ok: false, error: err.message }));
+      return true; // async
+
+    case "GET_OUTBOX":
+      getOutbox()
+        .then((outbox) => sendResponse({ ok: true, outbox }))
+        .catch((err) => sendResponse({ ok: false, error: err.message }));
+      return true; // async
+
+    case "RETRY_OUTBOX":
+      retryOutbox()
+        .then((results) => sendResponse({ ok: true, results }))
+        .catch((err) => sendResponse({ ok: false, error: err.message }));
+      return true; // async
+
     default:
       sendResponse({ ok: false, error: "unknown message type" });
   }
 });
 
+// ═══════════════════════════════════════════════════════════
+// On-demand fetches — the popup asks over a port instead of polling:
+//   popup → { type: "start", requestId, conversationId, tabId }
+//           { type: "cancel", requestId }
+//   popup ← { type: "started" | "progress" | "done" | "error", requestId, ... }
+// The request ID rides along to the interceptor and back, so concurrent
+// exports (two windows) each get their own capture and progress. Commands
+// run from here use the same path through fetchInTab().
+// ═══════════════════════════════════════════════════════════
+
+const FETCH_PORT = "float-export-fetch";
+const FETCH_IDLE_MS = 60000; // No word from the page for this long = give up
+
+const pendingFetches = new Map(); // requestId → { post, port, tabId, timer }
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== FETCH_PORT) return;
+
+  port.onMessage.addListener((message) => {
+    if (message.type === "start") startFetch(message, (reply) => port.postMessage(reply), port);
+    if (message.type === "cancel") cancelFetch(message.requestId);
+  });
+
+  // Popup closed — the fetch still lands in the archive, nobody to tell
+  port.onDisconnect.addListener(() => {
+    for (const [requestId, pending] of pendingFetches) {
+      if (pending.port === port) finishFetch(requestId);
+    }
+  });
+});
+
+// post receives every reply; port (popup fetches) is dropped on disconnect
+async function startFetch({ requestId, conversationId, tabId }, post, port = null) {
+  pendingFetches.set(requestId, { post, port, tabId: null, timer: null });
+  try {
+    const target = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+    if (!target) throw new Error("No active tab");
+    pendingFetches.get(requestId).tabId = target;
+
+    await chrome.tabs.sendMessage(target, { type: "TRIGGER_FETCH", conversationId, requestId });
+    notifyFetch(requestId, { type: "started", conversationId });
+  } catch (err) {
+    notifyFetch(requestId, { type: "error", error: err.message });
+    finishFetch(requestId);
+  }
+}
+
+function cancelFetch(requestId) {
+  const pending = pendingFetches.get(requestId);
+  if (!pending) return;
+  // The interceptor aborts its downloads; we don't wait for it to confirm
+  if (pending.tabId) {
+    chrome.tabs.sendMessage(pending.tabId, { type: "CANCEL_FETCH", requestId }).catch(() => {});
+  }
+  notifyFetch(requestId, { type: "error", error: "Cancelled", cancelled: true });
+  finishFetch(requestId);
+}
+
+// Post to whoever is waiting, if anyone, and restart the idle timer
+function notifyFetch(requestId, message) {
+  const pending = requestId && pendingFetches.get(requestId);
+  if (!pending) return;
+
+  clearTimeout(pending.timer);
+  pending.timer = setTimeout(() => {
+    notifyFetch(requestId, { type: "error", error: `No response from the page for ${FETCH_IDLE_MS / 1000}s` });
+    finishFetch(requestId);
+  }, FETCH_IDLE_MS);
+
+  try {
+    pending.post({ ...message, requestId });
+  } catch {
+    finishFetch(requestId); // Port already gone
+  }
+}
+
+function finishFetch(requestId) {
+  const pending = pendingFetches.get(requestId);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingFetches.delete(requestId);
+}
+
+// The same fetch for the worker itself — resolves with the capture status
+function fetchInTab(tabId, conversationId, onProgress = null) {
+  return new Promise((resolve, reject) => {
+    startFetch({ requestId: crypto.randomUUID(), conversationId, tabId }, (message) => {
+      if (message.type === "progress") onProgress?.(message);
+      if (message.type === "done") resolve(message);
+      if (message.type === "error") reject(new Error(message.error));
+    });
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// Keyboard shortcuts (manifest "commands") and the claude.ai context
+// menu — exports without opening the popup. Always the full active
+// branch with the saved settings; the result shows on the badge, with
+// the details in the toolbar button's tooltip.
+// ═══════════════════════════════════════════════════════════
+
+const EXPORT_COMMANDS = {
+  "copy-markdown": { title: "Copy as markdown", format: "markdown", copy: true },
+  "download-outliner": { title: "Download for outliner", format: "outliner" },
+  "download-bundle": { title: "Download bundle (.zip)", format: "bundle" },
+};
+
+const BADGE_COLORS = { busy: "#6b7280", ok: "#10b981", error: "#ef4444" };
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (EXPORT_COMMANDS[command]) runExportCommand(command, tab);
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (EXPORT_COMMANDS[info.menuItemId]) runExportCommand(info.menuItemId, tab);
+});
+
+// Menus persist across restarts, so they're (re)made on install and update
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    for (const [id, { title }] of Object.entries(EXPORT_COMMANDS)) {
+      chrome.contextMenus.create({
+        id,
+        title,
+        contexts: ["page", "selection", "link"],
+        documentUrlPatterns: ["https://claude.ai/*"],
+      });
+    }
+  });
+}
+
+async function runExportCommand(command, tab) {
+  const { title, format, copy } = EXPORT_COMMANDS[command];
+  const tabId = tab?.id;
+  if (!tabId) return;
+
+  try {
+    setCommandBadge(tabId, "…", "busy", `${title}…`);
+
+    const page = await chrome.tabs.sendMessage(tabId, { type: "GET_PAGE_INFO" }).catch(() => null);
+    if (!page?.conversationId) throw new Error("Open a Claude conversation first");
+
+    // Same rule as the popup: zips need a fresh fetch with embedded files
+    if (FRESH_FETCH_FORMATS.includes(format) || !(await getSummary(page.conversationId))) {
+      await fetchInTab(tabId, page.conversationId, ({ done, total }) => {
+        if (total) setCommandBadge(tabId, `${Math.floor((done / total) * 100)}%`, "busy", `${title}: files ${done}/${total}`);
+      });
+    }
+
+    const capture = await getCaptureData(page.conversationId);
+    if (!capture.ok) throw new Error(capture.error);
+
+    const options = { settings: await loadSettings() };
+    const file = buildExport(format, capture, options);
+    if (copy) {
+      const copied = await chrome.tabs.sendMessage(tabId, { type: "COPY_TEXT", text: file.text });
+      if (!copied?.ok) throw new Error(copied?.error || "Clipboard unavailable");
+    } else {
+      await downloadExport(file);
+    }
+
+    await recordExport(capture.conversationId, lastMessageUuid(capture.data, options));
+    // No preview step here (see the options page) — the title at least says
+    // what was masked
+    const masked = findRedactions(capture.data, options).reduce((n, f) => n + f.count, 0);
+    const details = [file.summary, masked && `${masked} value${masked === 1 ? "" : "s"} masked`].filter(Boolean).join(", ");
+    setCommandBadge(tabId, "OK", "ok", `${title}: ${copy ? "copied" : file.filename} (${details})`);
+  } catch (err) {
+    console.error(`[float-export] ${command} failed:`, err);
+    setCommandBadge(tabId, "ERR", "error", `${title} failed: ${err.message}`);
+  }
+}
+
+// No object URLs in a service worker, and a data: URL past ~2 MB fails —
+// the file goes to the offscreen document (offscreen/) for a blob: URL.
+// Runtime messages stop at 64 MiB, so larger exports need the popup.
+const MAX_DOWNLOAD_CHARS = 60 * 1024 * 1024;
+const OFFSCREEN_URL = "offscreen/offscreen.html";
+const blobDownloads = new Map(); // downloadId → blob: URL to revoke when done
+let creatingOffscreen = null;
+
+async function downloadExport(file) {
+  const payload = file.files
+    ? { base64: await zipFiles(self.JSZip, file.files, "base64") }
+    : { text: file.text };
+  const length = (payload.base64 ?? payload.text).length;
+  if (length > MAX_DOWNLOAD_CHARS) {
+    throw new Error(`${file.filename} is too large (${Math.round(length / 1048576)} MB) for a shortcut export — use the popup`);
+  }
+
+  await ensureOffscreen();
+  const created = await chrome.runtime.sendMessage({
+    target: "offscreen",
+    type: "CREATE_BLOB_URL",
+    mediaType: file.type,
+    ...payload,
+  });
+  if (!created?.ok) throw new Error("Could not prepare the download");
+
+  try {
+    const downloadId = await chrome.downloads.download({ url: created.url, filename: file.filename });
+    blobDownloads.set(downloadId, created.url);
+  } catch (err) {
+    revokeBlobUrl(created.url);
+    throw err;
+  }
+}
+
+async function ensureOffscreen() {
+  const existing = await chrome.runtime.getContexts({ contextTypes: ["OFFSCREEN_DOCUMENT"] });
+  if (existing.length) return;
+  creatingOffscreen ||= chrome.offscreen
+    .createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ["BLOBS"],
+      justification: "Object URLs for exports downloaded from shortcuts and the context menu",
+    })
+    .finally(() => { creatingOffscreen = null; });
+  await creatingOffscreen;
+}
+
+function revokeBlobUrl(url) {
+  chrome.runtime.sendMessage({ target: "offscreen", type: "REVOKE_BLOB_URL", url }).catch(() => {});
+}
+
+// The blob stays alive until Chrome has finished (or given up on) the file
+chrome.downloads.onChanged.addListener(({ id, state }) => {
+  if (!blobDownloads.has(id) || !state || state.current === "in_progress") return;
+  revokeBlobUrl(blobDownloads.get(id));
+  blobDownloads.delete(id);
+});
+
+function setCommandBadge(tabId, text, state, title) {
+  chrome.action.setBadgeText({ tabId, text });
+  chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLORS[state] });
+  chrome.action.setTitle({ tabId, title: `Float Export — ${title}` });
+}
+
+// Outbox retries — see lib/outbox.js
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== OUTBOX_ALARM) return;
+  processOutbox().catch((err) => console.error("[float-export] outbox error:", err));
+});
+
+// Move captures stored by older versions (flat conv_* keys) into the archive
+chrome.runtime.onInstalled.addListener(async () => {
+  createContextMenus();
+
+  const all = await chrome.storage.local.get(null);
+  const legacy = Object.entries(all).filter(([k]) => k.startsWith("conv_"));
+  if (!legacy.length) return;
+
+  for (const [, capture] of legacy) {
+    if (capture?.conversationId) await putCapture(capture);
+  }
+  await chrome.storage.local.remove(legacy.map(([k]) => k));
+
+  console.log(`[float-export] migrated ${legacy.length} captures to archive`);
+});
+
+// Writes to one conversation's capture run one at a time. A live turn is a
+// read-merge-write, and claude.ai refetches the conversation right after
+// each stream: a capture stored between the read and the write would be
+// overwritten by the stale merged copy.
+const captureWrites = new Map(); // conversationId → tail of its write chain
+
+function serializedCapture(conversationId, fn) {
+  const run = (captureWrites.get(conversationId) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  captureWrites.set(conversationId, tail);
+  tail.then(() => {
+    if (captureWrites.get(conversationId) === tail) captureWrites.delete(conversationId);
+  });
+  return run;
+}
+
 async function handleCapture(message, tabId) {
-  const key = `conv_${message.conversationId}`;
-  await chrome.storage.local.set({
-    [key]: {
+  await serializedCapture(message.conversationId, () =>
+    putCapture({
       data: message.data,
       name: message.name,
       url: message.url,
       capturedAt: message.capturedAt,
       conversationId: message.conversationId,
-    },
-  });
+    })
+  );
 
   // Track which conversation is current for this tab
   if (tabId) {
@@ -62,25 +412,66 @@ async function handleCapture(message, tabId) {
     `[float-export] stored ${message.data?.chat_messages?.length || "?"} messages for ${message.conversationId}`
   );
 
-  // Evict old captures — keep last 5
-  await evictOldCaptures(5);
+  // An on-demand fetch is waiting for exactly this capture
+  if (message.requestId && pendingFetches.has(message.requestId)) {
+    notifyFetch(message.requestId, { type: "done", ...(await getStatus(message.conversationId)) });
+    finishFetch(message.requestId);
+  }
+
+  // Destinations with auto-push on get every fresh capture
+  await pushCapture(message.conversationId, { auto: true }).catch((err) =>
+    console.error("[float-export] push error:", err)
+  );
 }
 
-async function evictOldCaptures(keepCount) {
-  const all = await chrome.storage.local.get(null);
-  const captures = Object.entries(all)
-    .filter(([k]) => k.startsWith("conv_"))
-    .map(([k, v]) => ({ key: k, capturedAt: v.capturedAt || "" }))
-    .sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+// Merge a live turn (from the completion stream) into the stored capture.
+// Without a prior full capture there is no tree to merge into — the next
+// fetch picks the turn up anyway. A capture stored after the turn already
+// has it, from the server.
+function handleTurn(message) {
+  return serializedCapture(message.conversationId, () => mergeTurn(message));
+}
 
-  if (captures.length <= keepCount) return;
+async function mergeTurn(message) {
+  const capture = await getCapture(message.conversationId);
+  if (!capture) {
+    console.log(`[float-export] live turn for uncaptured ${message.conversationId}, skipped`);
+    return;
+  }
+  if (Date.parse(capture.capturedAt) > Date.parse(message.capturedAt)) {
+    console.log(`[float-export] live turn older than the stored capture of ${message.conversationId}, skipped`);
+    return;
+  }
 
-  const toRemove = captures.slice(keepCount).map((c) => c.key);
-  // Also remove matching meta keys
-  const metaKeys = toRemove.map((k) => k.replace("conv_", "meta_"));
-  await chrome.storage.local.remove([...toRemove, ...metaKeys]);
+  const data = capture.data;
+  const messages = data.chat_messages || [];
+  for (const msg of message.messages) {
+    const existing = messages.findIndex((m) => m.uuid === msg.uuid);
+    if (existing !== -1) {
+      // The server's copy of a message is richer than the stream rebuild
+      messages[existing] = { ...msg, ...messages[existing] };
+    } else {
+      messages.push({ ...msg, index: messages.length });
+    }
+  }
+  data.chat_messages = messages;
+  data.current_leaf_message_uuid = message.leafUuid;
+  data.updated_at = message.capturedAt;
+
+  await putCapture({
+    data,
+    name: capture.name,
+    url: capture.url,
+    capturedAt: message.capturedAt,
+    conversationId: message.conversationId,
+  });
 
-  console.log(`[float-export] evicted ${toRemove.length} old captures`);
+  chrome.action.setBadgeText({ text: "OK" });
+  chrome.action.setBadgeBackgroundColor({ color: "#10b981" });
+
+  console.log(
+    `[float-export] merged live turn into ${message.conversationId} (${messages.length} messages)`
+  );
 }
 
 async function handlePageMeta(message) {
@@ -94,68 +485,62 @@ async function handlePageMeta(message) {
   });
 }
 
+// A capture rebuilt from an export (lib/importer.js, archive page). An
+// existing capture is only overwritten when asked — a live one usually holds
+// more than any export of it.
+async function importCapture(capture, { replace = false } = {}) {
+  if (!capture?.conversationId || !Array.isArray(capture.data?.chat_messages)) {
+    return { ok: false, error: "Not a conversation capture" };
+  }
+  const summary = await serializedCapture(capture.conversationId, async () => {
+    if (!replace && (await getSummary(capture.conversationId))) return null;
+    return putCapture(capture);
+  });
+  if (!summary) return { ok: false, exists: true, error: "Already in the archive" };
+
+  console.log(`[float-export] imported ${summary.messageCount} messages for ${capture.conversationId}`);
+  return { ok: true, summary };
+}
+
+// Delta cursor: the newest message UUID included in the last export
+async function recordExport(conversationId, messageUuid) {
+  if (!conversationId || !messageUuid) return { ok: false, error: "missing conversation or message" };
+  await chrome.storage.local.set({
+    [`export_${conversationId}`]: {
+      messageUuid,
+      exportedAt: new Date().toISOString(),
+    },
+  });
+  return { ok: true };
+}
+
 async function getStatus(conversationId) {
   if (!conversationId) return { captured: false };
 
-  const convKey = `conv_${conversationId}`;
   const metaKey = `meta_${conversationId}`;
-  const result = await chrome.storage.local.get([convKey, metaKey]);
-
-  const capture = result[convKey];
+  const exportKey = `export_${conversationId}`;
+  const [summary, result] = await Promise.all([
+    getSummary(conversationId),
+    chrome.storage.local.get([metaKey, exportKey]),
+  ]);
   const meta = result[metaKey];
 
   return {
-    captured: !!capture,
+    captured: !!summary,
     conversationId,
-    name: capture?.name || meta?.title || "",
-    messageCount: capture?.data?.chat_messages?.length || 0,
-    capturedAt: capture?.capturedAt || null,
+    name: summary?.name || meta?.title || "",
+    messageCount: summary?.messageCount || 0,
+    capturedAt: summary?.capturedAt || null,
+    lastExport: result[exportKey] || null,
   };
 }
 
-async function triggerExport(conversationId, tabId) {
-  // Send message to content script to trigger fetch via interceptor
-  try {
-    const [tab] = await chrome.tabs.query({
-      active: true,
-      currentWindow: true,
-    });
-    if (!tab?.id) return { ok: false, error: "No active tab" };
-
-    await chrome.tabs.sendMessage(tab.id, {
-      type: "TRIGGER_FETCH",
-      conversationId,
-    });
-
-    // Wait for the fetch to complete and data to arrive
-    // Large conversations (100+ messages with tool calls) can take 15-30s
-    return new Promise((resolve) => {
-      let attempts = 0;
-      const maxAttempts = 240; // 60 seconds total (image-heavy convos need time)
-      const check = async () => {
-        attempts++;
-        const status = await getStatus(conversationId);
-        if (status.captured) {
-          resolve({ ok: true, ...status });
-        } else if (attempts > maxAttempts) {
-          resolve({ ok: false, error: "Timeout waiting for data (30s)" });
-        } else {
-          setTimeout(check, 250);
-        }
-      };
-      setTimeout(check, 500);
-    });
-  } catch (err) {
-    return { ok: false, error: err.message };
-  }
-}
-
 async function getCaptureData(conversationId) {
-  const convKey = `conv_${conversationId}`;
   const metaKey = `meta_${conversationId}`;
-  const result = await chrome.storage.local.get([convKey, metaKey]);
-
-  const capture = result[convKey];
+  const [capture, result] = await Promise.all([
+    getCapture(conversationId),
+    chrome.storage.local.get(metaKey),
+  ]);
   const meta = result[metaKey];
 
   if (!capture) return { ok: false, error: "No capture found" };
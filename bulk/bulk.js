@@ -0,0 +1,399 @@
+// bulk.js — exports every conversation in the org into one zip
+// Runs in an extension tab; API calls go through the claude.ai tab's interceptor
+// Job state lives in chrome.storage.local so an interrupted run can resume
+// With ?project=<uuid> it exports one Project instead: its instructions and
+// knowledge docs plus every chat in it
+
+import { formatBundle } from "../lib/formatter.js";
+import { loadSettings } from "../lib/settings.js";
+
+const PROJECT_ID = new URLSearchParams(location.search).get("project");
+
+// Org and project jobs are kept apart so one can't discard the other
+const SCOPE = PROJECT_ID ? `bulk_project_${PROJECT_ID}` : "bulk";
+const JOB_KEY = `${SCOPE}_job`;
+const CONV_PREFIX = `${SCOPE}_conv_`;
+const PAGE_SIZE = 50;
+const MAX_ATTEMPTS = 3;
+
+const titleEl = document.getElementById("title");
+const statusEl = document.getElementById("status");
+const throttleInput = document.getElementById("throttle");
+const branchSelect = document.getElementById("branch");
+const embedInput = document.getElementById("embed");
+const progressEl = document.getElementById("progress");
+const progressText = document.getElementById("progressText");
+const startBtn = document.getElementById("startBtn");
+const stopBtn = document.getElementById("stopBtn");
+const zipBtn = document.getElementById("zipBtn");
+const clearBtn = document.getElementById("clearBtn");
+const failedEl = document.getElementById("failed");
+
+let job = null;
+let running = false;
+let stopRequested = false;
+
+async function init() {
+  if (PROJECT_ID) {
+    titleEl.textContent = "=^._.^= Project Export";
+    document.title = "Float Export — Project Export";
+    setStatus("Exports this project's instructions, knowledge docs and every chat in it into one zip.");
+  }
+
+  job = (await chrome.storage.local.get(JOB_KEY))[JOB_KEY] || null;
+  if (job) {
+    setStatus(`Job from ${job.createdAt.slice(0, 16).replace("T", " ")} found — Resume to continue or Discard to start over.`);
+    throttleInput.value = job.throttleMs / 1000;
+    branchSelect.value = job.branch;
+    embedInput.checked = job.embed;
+  }
+  render();
+}
+
+function newJob() {
+  return {
+    createdAt: new Date().toISOString(),
+    throttleMs: Math.max(0, Number(throttleInput.value) || 0) * 1000,
+    branch: branchSelect.value,
+    embed: embedInput.checked,
+    projectId: PROJECT_ID,
+    project: null, // { uuid, name, description, instructions, docs } for project jobs
+    phase: "listing", // listing → fetching → ready
+    nextOffset: 0,
+    conversations: [], // [{ uuid, name, updatedAt }]
+    done: [],
+    failed: {}, // uuid → error message
+  };
+}
+
+startBtn.addEventListener("click", async () => {
+  if (!job) job = newJob();
+  if (job.phase === "ready") {
+    // Second pass over conversations that failed last time
+    job.failed = {};
+    job.phase = "fetching";
+  }
+  job.throttleMs = Math.max(0, Number(throttleInput.value) || 0) * 1000;
+  await saveJob();
+
+  running = true;
+  stopRequested = false;
+  render();
+
+  try {
+    const tabId = await findClaudeTab();
+    if (job.phase === "listing") await listAll(tabId);
+    if (job.phase === "fetching") await fetchAll(tabId);
+    if (job.phase === "ready") {
+      setStatus(`All conversations fetched. ${job.done.length} ready to zip.`, "done");
+    } else {
+      setStatus("Paused — progress is saved, Resume to continue.");
+    }
+  } catch (err) {
+    setStatus(`Stopped: ${err.message}`, "error");
+  } finally {
+    running = false;
+    render();
+  }
+});
+
+stopBtn.addEventListener("click", () => {
+  stopRequested = true;
+  stopBtn.disabled = true;
+  setStatus("Pausing after the current request...");
+});
+
+zipBtn.addEventListener("click", async () => {
+  try {
+    zipBtn.disabled = true;
+    await downloadZip();
+  } catch (err) {
+    setStatus(`Zip failed: ${err.message}`, "error");
+  } finally {
+    render();
+  }
+});
+
+clearBtn.addEventListener("click", async () => {
+  if (running) return;
+  const all = await chrome.storage.local.get(null);
+  const keys = Object.keys(all).filter((k) => k === JOB_KEY || k.startsWith(CONV_PREFIX));
+  await chrome.storage.local.remove(keys);
+  job = null;
+  failedEl.replaceChildren();
+  setStatus("Job discarded.");
+  render();
+});
+
+// ─── Phases ───
+
+async function listAll(tabId) {
+  const known = new Set(job.conversations.map((c) => c.uuid));
+
+  if (job.projectId && !job.project) {
+    const { project, docs } = await withRetry(() =>
+      pageRpc(tabId, "getProject", { projectId: job.projectId })
+    );
+    job.project = {
+      uuid: project.uuid || job.projectId,
+      name: project.name || "",
+      description: project.description || "",
+      instructions: project.prompt_template || "",
+      docs: (docs || []).map((d) => ({
+        uuid: d.uuid,
+        fileName: d.file_name || "document",
+        content: d.content || "",
+        createdAt: d.created_at || null,
+      })),
+    };
+    await saveJob();
+  }
+
+  while (!stopRequested) {
+    const { conversations } = await withRetry(() =>
+      job.projectId
+        ? pageRpc(tabId, "listProjectConversations", { projectId: job.projectId, offset: job.nextOffset, limit: PAGE_SIZE })
+        : pageRpc(tabId, "listConversations", { offset: job.nextOffset, limit: PAGE_SIZE })
+    );
+
+    // New chats shift offsets between pages — dedupe by UUID
+    let added = 0;
+    for (const conv of conversations) {
+      if (known.has(conv.uuid)) continue;
+      known.add(conv.uuid);
+      added++;
+      job.conversations.push({
+        uuid: conv.uuid,
+        name: conv.name || "",
+        updatedAt: conv.updated_at || null,
+      });
+    }
+    job.nextOffset += conversations.length;
+    // A page of nothing new means the endpoint ignored offset — stop there
+    if (conversations.length < PAGE_SIZE || !added) job.phase = "fetching";
+
+    await saveJob();
+    render();
+    if (job.phase !== "listing") return;
+    await sleep(job.throttleMs);
+  }
+}
+
+async function fetchAll(tabId) {
+  const done = new Set(job.done);
+
+  for (const conv of job.conversations) {
+    if (stopRequested) return;
+    if (done.has(conv.uuid) || conv.uuid in job.failed) continue;
+
+    try {
+      const data = await withRetry(() =>
+        pageRpc(tabId, "fetchConversation", { conversationId: conv.uuid, embed: job.embed })
+      );
+      await chrome.storage.local.set({ [CONV_PREFIX + conv.uuid]: data });
+      done.add(conv.uuid);
+      job.done.push(conv.uuid);
+    } catch (err) {
+      job.failed[conv.uuid] = err.message;
+    }
+
+    await saveJob();
+    render();
+    await sleep(job.throttleMs);
+  }
+
+  job.phase = "ready";
+  await saveJob();
+}
+
+async function downloadZip() {
+  const zip = new JSZip();
+  const done = new Set(job.done);
+  const settings = await loadSettings();
+  const index = job.project
+    ? projectIndexHeader(zip, job.project, done.size)
+    : [`# Claude conversations`, "", `<!-- float-export bulk | ${done.size} conversations | exported: ${new Date().toISOString()} -->`, ""];
+
+  let n = 0;
+  for (const conv of job.conversations) {
+    if (!done.has(conv.uuid)) continue;
+    n++;
+    setStatus(`Building zip: ${n} of ${done.size}...`);
+
+    const key = CONV_PREFIX + conv.uuid;
+    const data = (await chrome.storage.local.get(key))[key];
+    if (!data) continue;
+
+    const bundle = formatBundle(
+      data,
+      { conversationId: conv.uuid, name: conv.name },
+      { branch: job.branch, settings }
+    );
+
+    // One folder per conversation — UUID suffix keeps same-titled chats apart
+    const folderName = `${slugify(conv.name || "conversation")}-${conv.uuid.slice(0, 8)}`;
+    const folder = zip.folder(folderName);
+    const mdName = `${slugify(conv.name || "conversation")}.md`;
+    folder.file(mdName, bundle.markdown);
+    for (const file of bundle.files) {
+      if (file.type === "base64") {
+        folder.file(file.path, file.data, { base64: true });
+      } else {
+        folder.file(file.path, file.data);
+      }
+    }
+
+    index.push(`- [${conv.name || conv.uuid}](${folderName}/${mdName})${conv.updatedAt ? ` — ${conv.updatedAt.slice(0, 10)}` : ""}`);
+  }
+
+  zip.file("index.md", index.join("\n"));
+
+  const blob = await zip.generateAsync({ type: "blob" }, (meta) => {
+    setStatus(`Compressing: ${Math.round(meta.percent)}%`);
+  });
+  const filename = job.project
+    ? `claude-project-${slugify(job.project.name || job.project.uuid)}-${dateStamp()}.zip`
+    : `claude-bulk-${dateStamp()}.zip`;
+
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+
+  setStatus(`Downloaded ${filename} (${n} conversations, ${(blob.size / 1024 / 1024).toFixed(1)}MB)`, "done");
+}
+
+// Project instructions and knowledge docs go under project/; returns the
+// start of index.md, which links them ahead of the conversation list
+function projectIndexHeader(zip, project, conversationCount) {
+  const lines = [
+    `# ${project.name || "Claude project"}`,
+    "",
+    `<!-- float-export project | ${conversationCount} conversations | project: ${project.uuid} | exported: ${new Date().toISOString()} -->`,
+    "",
+  ];
+  if (project.description) lines.push(project.description, "");
+
+  if (project.instructions) {
+    zip.file("project/instructions.md", project.instructions);
+    lines.push("- [Project instructions](project/instructions.md)", "");
+  }
+
+  if (project.docs.length) {
+    lines.push("## Knowledge", "");
+    const used = new Set();
+    for (const doc of project.docs) {
+      // Docs can share a name — keep both
+      let name = doc.fileName.replace(/[\\/:*?"<>|]+/g, "-");
+      if (used.has(name)) name = `${doc.uuid.slice(0, 8)}-${name}`;
+      used.add(name);
+      zip.file(`project/knowledge/${name}`, doc.content);
+      lines.push(`- [${doc.fileName}](project/knowledge/${encodeURI(name)})`);
+    }
+    lines.push("");
+  }
+
+  lines.push("## Conversations", "");
+  return lines;
+}
+
+// ─── Page RPC ───
+
+async function findClaudeTab() {
+  const preferred = Number(new URLSearchParams(location.search).get("tab"));
+  const tabs = await chrome.tabs.query({ url: "https://claude.ai/*" });
+  const tab = tabs.find((t) => t.id === preferred) || tabs[0];
+  if (!tab) throw new Error("Open claude.ai in a tab first");
+  return tab.id;
+}
+
+async function pageRpc(tabId, method, params) {
+  const response = await chrome.tabs.sendMessage(tabId, { type: "PAGE_RPC", method, params });
+  if (!response?.ok) {
+    const err = new Error(response?.error || "No response from claude.ai tab");
+    err.status = response?.status || null;
+    throw err;
+  }
+  return response.result;
+}
+
+// Retry with backoff — rate limits (429) back off harder
+async function withRetry(fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= MAX_ATTEMPTS || err.status === 404 || err.status === 403) throw err;
+      const backoff = (err.status === 429 ? 30000 : 2000) * attempt;
+      setStatus(`${err.message} — retrying in ${backoff / 1000}s...`);
+      await sleep(backoff);
+    }
+  }
+}
+
+// ─── UI ───
+
+function render() {
+  const total = job?.conversations.length || 0;
+  const done = job?.done.length || 0;
+  const failed = job ? Object.keys(job.failed).length : 0;
+
+  progressEl.max = Math.max(total, 1);
+  progressEl.value = done + failed;
+
+  if (!job) {
+    progressText.textContent = "";
+  } else if (job.phase === "listing") {
+    progressText.textContent = `Listing conversations: ${total} found so far`;
+  } else {
+    progressText.textContent = `${done} of ${total} fetched${failed ? `, ${failed} failed` : ""}`;
+  }
+
+  const retryable = job?.phase === "ready" && failed > 0;
+  startBtn.disabled = running || (job?.phase === "ready" && !retryable);
+  startBtn.textContent = retryable ? "Retry failed" : job && (total || job.nextOffset) ? "Resume" : "Start";
+  stopBtn.disabled = !running || stopRequested;
+  zipBtn.disabled = running || !done;
+  clearBtn.disabled = running;
+  throttleInput.disabled = running;
+  branchSelect.disabled = running;
+  embedInput.disabled = running || !!job;
+
+  failedEl.replaceChildren(
+    ...Object.entries(job?.failed || {}).map(([uuid, error]) => {
+      const li = document.createElement("li");
+      const name = job.conversations.find((c) => c.uuid === uuid)?.name || uuid;
+      li.textContent = `${name}: ${error}`;
+      return li;
+    })
+  );
+}
+
+async function saveJob() {
+  job.branch = branchSelect.value;
+  await chrome.storage.local.set({ [JOB_KEY]: job });
+}
+
+function setStatus(text, kind = "") {
+  statusEl.textContent = text;
+  statusEl.className = `status${kind ? " " + kind : ""}`;
+}
+
+function slugify(str) {
+  return str
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, 60);
+}
+
+function dateStamp() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+init();
@@ -8,6 +8,7 @@ window.addEventListener("message", (event) => {
   if (event.data?.type === "FLOAT_EXPORT_CAPTURED") {
     chrome.runtime.sendMessage({
       type: "CONVERSATION_CAPTURED",
+      requestId: event.data.requestId || null,
       conversationId: event.data.conversationId,
       name: event.data.name,
       url: event.data.url,
@@ -16,14 +17,57 @@ window.addEventListener("message", (event) => {
     });
   }
 
+  if (event.data?.type === "FLOAT_EXPORT_TURN") {
+    chrome.runtime.sendMessage({
+      type: "TURN_CAPTURED",
+      conversationId: event.data.conversationId,
+      messages: event.data.messages,
+      leafUuid: event.data.leafUuid,
+      capturedAt: new Date().toISOString(),
+    });
+  }
+
+  // Only on-demand fetches have someone waiting for progress
+  if (event.data?.type === "FLOAT_EXPORT_EMBED_PROGRESS" && event.data.requestId) {
+    chrome.runtime.sendMessage({
+      type: "EMBED_PROGRESS",
+      requestId: event.data.requestId,
+      conversationId: event.data.conversationId,
+      done: event.data.done,
+      total: event.data.total,
+      bytes: event.data.bytes,
+      failed: event.data.failed,
+      skipped: event.data.skipped,
+      file: event.data.file,
+    });
+  }
+
   if (event.data?.type === "FLOAT_EXPORT_FETCH_ERROR") {
     chrome.runtime.sendMessage({
       type: "FETCH_ERROR",
+      requestId: event.data.requestId || null,
       error: event.data.error,
     });
   }
+
+  if (event.data?.type === "FLOAT_EXPORT_RPC_RESPONSE") {
+    const respond = pendingRpc.get(event.data.requestId);
+    if (respond) {
+      pendingRpc.delete(event.data.requestId);
+      respond({
+        ok: event.data.ok,
+        result: event.data.result,
+        error: event.data.error,
+        status: event.data.status,
+      });
+    }
+  }
 });
 
+// Page RPC calls waiting on the interceptor, keyed by request ID
+const pendingRpc = new Map();
+let rpcCounter = 0;
+
 // Listen for export trigger from popup/background
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === "TRIGGER_FETCH") {
@@ -31,6 +75,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     window.postMessage(
       {
         type: "FLOAT_EXPORT_FETCH_REQUEST",
+        requestId: message.requestId,
         conversationId: message.conversationId,
       },
       "*"
@@ -38,10 +83,41 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse({ ok: true });
   }
 
+  if (message.type === "CANCEL_FETCH") {
+    window.postMessage({ type: "FLOAT_EXPORT_CANCEL", requestId: message.requestId }, "*");
+    sendResponse({ ok: true });
+  }
+
+  if (message.type === "PAGE_RPC") {
+    // Relay a request/response call to the MAIN world interceptor
+    const requestId = `rpc_${Date.now()}_${++rpcCounter}`;
+    pendingRpc.set(requestId, sendResponse);
+    window.postMessage(
+      {
+        type: "FLOAT_EXPORT_RPC_REQUEST",
+        requestId,
+        method: message.method,
+        params: message.params,
+      },
+      "*"
+    );
+    return true; // async
+  }
+
+  if (message.type === "COPY_TEXT") {
+    // Clipboard for the background's copy command — workers have none
+    copyText(message.text)
+      .then(() => sendResponse({ ok: true }))
+      .catch((err) => sendResponse({ ok: false, error: err.message }));
+    return true; // async
+  }
+
   if (message.type === "GET_PAGE_INFO") {
     const urlMatch = window.location.pathname.match(/\/chat\/([0-9a-f-]+)/);
+    const projectMatch = window.location.pathname.match(/\/project\/([0-9a-f-]+)/);
     sendResponse({
       conversationId: urlMatch ? urlMatch[1] : null,
+      projectId: projectMatch ? projectMatch[1] : null,
       title: document.title?.replace(/ - Claude$/, "").trim() || "",
       pageUrl: window.location.href,
       onClaudeDotAi: window.location.hostname === "claude.ai",
@@ -49,6 +125,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+// The async clipboard API wants a focused document; a shortcut pressed with
+// focus elsewhere (devtools, the omnibox) falls back to execCommand
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return;
+  } catch {}
+
+  const textarea = document.createElement("textarea");
+  textarea.value = text;
+  textarea.style.cssText = "position:fixed; top:0; left:0; opacity:0";
+  document.body.append(textarea);
+  textarea.select();
+  const copied = document.execCommand("copy");
+  textarea.remove();
+  if (!copied) throw new Error("Clipboard unavailable — click the page and try again");
+}
+
 // Auto-capture: extract page info on load and URL changes
 function notifyPageInfo() {
   const urlMatch = window.location.pathname.match(/\/chat\/([0-9a-f-]+)/);
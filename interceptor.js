@@ -1,13 +1,19 @@
 // interceptor.js — runs in MAIN world (page context)
-// Two strategies:
+// Strategies:
 // 1. Intercept fetch for conversation data (catches SPA navigation)
 // 2. Provide a page-context function for on-demand API calls
+// 3. Request/response calls for extension pages (bulk and project export)
+// 4. Watch completion streams so new turns land in the capture live
 
 (function () {
   const INTERCEPT_PATTERNS = [
     /\/api\/organizations\/[^/]+\/chat_conversations\/[^/]+(\?|$)/,
   ];
 
+  // completion = new human turn + reply, retry_completion = regenerated reply
+  const STREAM_PATTERN =
+    /\/api\/organizations\/[^/]+\/chat_conversations\/([0-9a-f-]+)\/(completion|retry_completion)(\?|$)/;
+
   // Strategy 1: Fetch intercept for SPA navigation
   const originalFetch = window.fetch;
 
@@ -15,6 +21,15 @@
     const response = await originalFetch.apply(this, args);
     const url = typeof args[0] === "string" ? args[0] : args[0]?.url || "";
 
+    const streamMatch = url.match(STREAM_PATTERN);
+    if (streamMatch && response.ok) {
+      // Read a tee of the stream in the background — the page gets the original
+      watchCompletion(streamMatch[1], args[1]?.body, response.clone()).catch((err) =>
+        console.error("[float-export] stream watch error:", err)
+      );
+      return response;
+    }
+
     if (!INTERCEPT_PATTERNS.some((p) => p.test(url))) {
       return response;
     }
@@ -37,97 +52,387 @@
   };
 
   // Strategy 2: On-demand fetch (handles SSR-loaded conversations)
+  // requestId ties progress, the capture and errors back to the export that
+  // asked; FLOAT_EXPORT_CANCEL aborts it
+  const activeFetches = new Map(); // requestId → AbortController
+
   window.addEventListener("message", async (event) => {
     if (event.source !== window) return;
+
+    if (event.data?.type === "FLOAT_EXPORT_CANCEL") {
+      activeFetches.get(event.data.requestId)?.abort();
+      return;
+    }
     if (event.data?.type !== "FLOAT_EXPORT_FETCH_REQUEST") return;
 
-    const { conversationId } = event.data;
+    const { conversationId, requestId } = event.data;
+    const controller = new AbortController();
+    if (requestId) activeFetches.set(requestId, controller);
     try {
       // Extract org ID from page URL or API calls
       const orgId = extractOrgId();
       if (!orgId) {
         window.postMessage(
-          { type: "FLOAT_EXPORT_FETCH_ERROR", error: "Could not determine org ID" },
+          { type: "FLOAT_EXPORT_FETCH_ERROR", requestId, error: "Could not determine org ID" },
           "*"
         );
         return;
       }
 
-      const url = `/api/organizations/${orgId}/chat_conversations/${conversationId}?tree=True&rendering_mode=messages&render_all_tools=true`;
+      const { url, data } = await fetchConversation(orgId, conversationId, {
+        signal: controller.signal,
+        requestId,
+      });
+      postCapture(url, data, requestId);
+    } catch (err) {
+      window.postMessage(
+        {
+          type: "FLOAT_EXPORT_FETCH_ERROR",
+          requestId,
+          error: controller.signal.aborted ? "Cancelled" : err.message,
+        },
+        "*"
+      );
+    } finally {
+      activeFetches.delete(requestId);
+    }
+  });
+
+  // Strategy 3: Request/response calls for extension pages (bulk and project export).
+  // Results go back to the caller only — they never touch the capture store.
+  const RPC_METHODS = {
+    async listConversations(orgId, { offset = 0, limit = 50 }) {
+      const url = `/api/organizations/${orgId}/chat_conversations?limit=${limit}&offset=${offset}`;
       const resp = await originalFetch(url);
+      if (!resp.ok) throw apiError(resp);
+      return { orgId, conversations: await resp.json() };
+    },
 
-      if (!resp.ok) {
-        window.postMessage(
-          { type: "FLOAT_EXPORT_FETCH_ERROR", error: `API returned ${resp.status}` },
-          "*"
-        );
-        return;
-      }
+    async fetchConversation(orgId, { conversationId, embed = true }) {
+      const { data } = await fetchConversation(orgId, conversationId, { embed });
+      return data;
+    },
+
+    // Project metadata (name, description, prompt_template = instructions)
+    // plus its knowledge docs, which carry their text inline
+    async getProject(orgId, { projectId }) {
+      const base = `/api/organizations/${orgId}/projects/${projectId}`;
+      const [projectResp, docsResp] = await Promise.all([
+        originalFetch(base),
+        originalFetch(`${base}/docs`),
+      ]);
+      if (!projectResp.ok) throw apiError(projectResp);
+      if (!docsResp.ok) throw apiError(docsResp);
+      return { orgId, project: await projectResp.json(), docs: await docsResp.json() };
+    },
+
+    async listProjectConversations(orgId, { projectId, offset = 0, limit = 50 }) {
+      const url = `/api/organizations/${orgId}/projects/${projectId}/conversations?limit=${limit}&offset=${offset}`;
+      const resp = await originalFetch(url);
+      if (!resp.ok) throw apiError(resp);
+      return { orgId, conversations: await resp.json() };
+    },
+  };
 
-      const data = await resp.json();
+  window.addEventListener("message", async (event) => {
+    if (event.source !== window) return;
+    if (event.data?.type !== "FLOAT_EXPORT_RPC_REQUEST") return;
+
+    const { requestId, method, params } = event.data;
+    const reply = (payload) =>
+      window.postMessage({ type: "FLOAT_EXPORT_RPC_RESPONSE", requestId, ...payload }, "*");
 
-      // Fetch images and convert to base64 data URIs
-      await embedFiles(data, orgId);
+    try {
+      const handler = RPC_METHODS[method];
+      if (!handler) throw new Error(`Unknown method: ${method}`);
+
+      const orgId = extractOrgId();
+      if (!orgId) throw new Error("Could not determine org ID");
 
-      postCapture(url, data);
+      reply({ ok: true, result: await handler(orgId, params || {}) });
     } catch (err) {
-      window.postMessage(
-        { type: "FLOAT_EXPORT_FETCH_ERROR", error: err.message },
-        "*"
-      );
+      reply({ ok: false, error: err.message, status: err.status || null });
     }
   });
 
-  async function embedFiles(data, orgId) {
-    const messages = data.chat_messages || [];
-    let imageCount = 0;
-    let textCount = 0;
+  async function fetchConversation(orgId, conversationId, { embed = true, signal = null, requestId = null } = {}) {
+    const url = `/api/organizations/${orgId}/chat_conversations/${conversationId}?tree=True&rendering_mode=messages&render_all_tools=true`;
+    const resp = await originalFetch(url, { signal });
+
+    if (!resp.ok) throw apiError(resp);
+
+    const data = await resp.json();
+
+    // Fetch images and documents into the capture, reporting progress to the
+    // content script (and on to the popup)
+    if (embed) {
+      await embedFiles(data, orgId, {
+        signal,
+        onProgress: (progress) =>
+          window.postMessage({ type: "FLOAT_EXPORT_EMBED_PROGRESS", conversationId, requestId, ...progress }, "*"),
+      });
+    }
+
+    return { url, data };
+  }
+
+  // Strategy 4: Rebuild the finished turn from the completion SSE stream
+  // (Messages API events: message_start, content_block_*, message_delta, message_stop)
+  async function watchCompletion(conversationId, requestBody, response) {
+    let request = {};
+    try {
+      request = typeof requestBody === "string" ? JSON.parse(requestBody) : {};
+    } catch {}
 
-    for (const msg of messages) {
-      const files = msg.files_v2 || msg.files || [];
-      if (!files.length) continue;
+    const startedAt = new Date().toISOString();
+    const assistant = {
+      uuid: request.turn_message_uuids?.assistant_message_uuid || null,
+      parent_message_uuid: null,
+      sender: "assistant",
+      content: [],
+      created_at: startedAt,
+      stop_reason: null,
+    };
+    const partialJson = {};
+    let stopped = false;
 
-      for (const file of files) {
+    await readSse(response.body, (event, payload) => {
+      switch (payload.type || event) {
+        case "message_start": {
+          const message = payload.message || {};
+          assistant.uuid = message.uuid || assistant.uuid;
+          assistant.parent_message_uuid = message.parent_uuid || null;
+          if (message.model) assistant.model = message.model;
+          break;
+        }
+        case "content_block_start":
+          assistant.content[payload.index] = { ...payload.content_block };
+          break;
+        case "content_block_delta": {
+          const block = assistant.content[payload.index];
+          const delta = payload.delta || {};
+          if (!block) break;
+          if (delta.type === "text_delta") block.text = (block.text || "") + delta.text;
+          if (delta.type === "thinking_delta") block.thinking = (block.thinking || "") + delta.thinking;
+          if (delta.type === "thinking_summary_delta" && delta.summary) {
+            (block.summaries ||= []).push(delta.summary);
+          }
+          if (delta.type === "input_json_delta") {
+            partialJson[payload.index] = (partialJson[payload.index] || "") + (delta.partial_json || "");
+          }
+          break;
+        }
+        case "content_block_stop": {
+          const block = assistant.content[payload.index];
+          if (block?.type === "tool_use" && partialJson[payload.index]) {
+            try {
+              block.input = JSON.parse(partialJson[payload.index]);
+            } catch {
+              block.input = { _partial_json: partialJson[payload.index] };
+            }
+          }
+          break;
+        }
+        case "message_delta":
+          if (payload.delta?.stop_reason) assistant.stop_reason = payload.delta.stop_reason;
+          break;
+        case "message_stop":
+          stopped = true;
+          break;
+      }
+    });
+
+    // Aborted or errored streams are left for the next full fetch
+    if (!stopped) return;
+
+    assistant.content = assistant.content.filter(Boolean);
+    const messages = [];
+
+    // retry_completion regenerates a reply — no new human message
+    if (request.prompt !== undefined) {
+      const humanUuid =
+        request.turn_message_uuids?.human_message_uuid || assistant.parent_message_uuid || crypto.randomUUID();
+      messages.push({
+        uuid: humanUuid,
+        parent_message_uuid: request.parent_message_uuid || null,
+        sender: "human",
+        content: [{ type: "text", text: request.prompt }],
+        files_v2: request.files_v2 || [],
+        attachments: request.attachments || [],
+        created_at: startedAt,
+      });
+      assistant.parent_message_uuid = humanUuid;
+    } else {
+      assistant.parent_message_uuid ||= request.parent_message_uuid || null;
+    }
+    assistant.uuid ||= crypto.randomUUID();
+    messages.push(assistant);
+
+    console.log(
+      `[float-export] live turn: ${assistant.content.length} blocks in ${conversationId}`
+    );
+
+    window.postMessage(
+      { type: "FLOAT_EXPORT_TURN", conversationId, messages, leafUuid: assistant.uuid },
+      "*"
+    );
+  }
+
+  async function readSse(body, onEvent) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    const dispatch = (raw) => {
+      let event = "message";
+      const data = [];
+      for (const line of raw.split(/\r?\n/)) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+      }
+      if (!data.length) return;
+      try {
+        onEvent(event, JSON.parse(data.join("\n")));
+      } catch {
+        // Non-JSON keepalives etc.
+      }
+    };
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      events.forEach(dispatch);
+    }
+    if (buffer.trim()) dispatch(buffer);
+  }
+
+  function apiError(resp) {
+    const err = new Error(`API returned ${resp.status}`);
+    err.status = resp.status;
+    return err;
+  }
+
+  // Attachments download through a small pool rather than one by one.
+  // Failed downloads retry with backoff (honouring Retry-After on 429);
+  // files over the size cap are left unembedded.
+  const EMBED_CONCURRENCY = 4;
+  const EMBED_ATTEMPTS = 3;
+  const EMBED_RETRY_MS = 500; // doubles per attempt
+  const EMBED_MAX_BYTES = 25 * 1024 * 1024;
+
+  // onProgress({ done, total, bytes, failed, skipped, file }) after each file;
+  // an aborted signal stops the pool and rejects
+  async function embedFiles(data, orgId, { onProgress = () => {}, signal = null } = {}) {
+    // The same upload can sit on several messages (edited prompts, branches) —
+    // download it once and embed it on every copy
+    const jobs = new Map(); // file_uuid → { kind, url, name, files }
+    for (const msg of data.chat_messages || []) {
+      for (const file of msg.files_v2 || msg.files || []) {
         const uuid = file.file_uuid || file.uuid;
-        if (!uuid) continue;
+        if (!uuid || !["image", "text", "document"].includes(file.file_kind)) continue;
+        if (!jobs.has(uuid)) {
+          jobs.set(uuid, {
+            kind: file.file_kind,
+            url: file.preview_url || `/api/${orgId}/files/${uuid}/preview`,
+            name: file.file_name,
+            files: [],
+          });
+        }
+        jobs.get(uuid).files.push(file);
+      }
+    }
+    if (!jobs.size) return;
+
+    const queue = [...jobs.values()];
+    const progress = { done: 0, total: queue.length, bytes: 0, failed: 0, skipped: 0 };
+    onProgress({ ...progress, file: null });
 
+    const worker = async () => {
+      while (queue.length && !signal?.aborted) {
+        const job = queue.shift();
         try {
-          if (file.file_kind === "image") {
-            // Fetch image preview as base64
-            const previewUrl = file.preview_url || `/api/${orgId}/files/${uuid}/preview`;
-            const imgResp = await originalFetch(previewUrl);
-            if (imgResp.ok) {
-              const blob = await imgResp.blob();
-              const base64 = await blobToBase64(blob);
-              file._embedded_base64 = base64;
-              file._embedded_media_type = blob.type || "image/png";
-              imageCount++;
-            }
-          } else if (file.file_kind === "text" || file.file_kind === "document") {
-            // Fetch text content (PDFs, code files, etc.)
-            const previewUrl = file.preview_url || `/api/${orgId}/files/${uuid}/preview`;
-            const textResp = await originalFetch(previewUrl);
-            if (textResp.ok) {
-              const contentType = textResp.headers.get("content-type") || "";
-              if (contentType.includes("text") || contentType.includes("json")) {
-                file._embedded_text = await textResp.text();
-              } else {
-                // Binary doc (PDF etc) — base64
-                const blob = await textResp.blob();
-                file._embedded_base64 = await blobToBase64(blob);
-                file._embedded_media_type = blob.type;
-              }
-              textCount++;
-            }
+          const embedded = await downloadAttachment(job, signal);
+          if (embedded) {
+            for (const file of job.files) Object.assign(file, embedded.fields);
+            progress.bytes += embedded.size;
+          } else {
+            progress.skipped++;
           }
         } catch (err) {
-          console.warn(`[float-export] failed to embed file ${file.file_name}:`, err.message);
+          if (signal?.aborted) return;
+          progress.failed++;
+          console.warn(`[float-export] failed to embed file ${job.name}:`, err.message);
         }
+        progress.done++;
+        onProgress({ ...progress, file: job.name || null });
       }
+    };
+    await Promise.all(Array.from({ length: Math.min(EMBED_CONCURRENCY, queue.length) }, worker));
+    signal?.throwIfAborted();
+
+    const embedded = progress.total - progress.failed - progress.skipped;
+    console.log(
+      `[float-export] embedded ${embedded} of ${progress.total} files (${(progress.bytes / 1048576).toFixed(1)} MB)` +
+        (progress.skipped ? `, ${progress.skipped} over the size cap` : "") +
+        (progress.failed ? `, ${progress.failed} failed` : "")
+    );
+  }
+
+  // One attachment → { size, fields } to set on its file objects, or null
+  // when it is over the size cap
+  async function downloadAttachment(job, signal) {
+    const resp = await fetchWithRetry(job.url, signal);
+
+    const declared = Number(resp.headers.get("content-length")) || 0;
+    if (declared > EMBED_MAX_BYTES) {
+      resp.body?.cancel();
+      console.warn(`[float-export] ${job.name} is ${(declared / 1048576).toFixed(1)} MB, not embedded`);
+      return null;
+    }
+
+    // Text and code files stay text; PDFs and other binary docs go base64
+    const contentType = resp.headers.get("content-type") || "";
+    if (job.kind !== "image" && (contentType.includes("text") || contentType.includes("json"))) {
+      const text = await resp.text();
+      if (text.length > EMBED_MAX_BYTES) return null;
+      return { size: text.length, fields: { _embedded_text: text } };
+    }
+
+    const blob = await resp.blob();
+    if (blob.size > EMBED_MAX_BYTES) {
+      console.warn(`[float-export] ${job.name} is ${(blob.size / 1048576).toFixed(1)} MB, not embedded`);
+      return null;
     }
+    return {
+      size: blob.size,
+      fields: {
+        _embedded_base64: await blobToBase64(blob),
+        _embedded_media_type: job.kind === "image" ? blob.type || "image/png" : blob.type,
+      },
+    };
+  }
+
+  // Network errors, 429 and 5xx are retried; other statuses (and aborts)
+  // fail at once
+  async function fetchWithRetry(url, signal) {
+    for (let attempt = 1; ; attempt++) {
+      let resp = null;
+      try {
+        resp = await originalFetch(url, { signal });
+      } catch (err) {
+        if (signal?.aborted || attempt >= EMBED_ATTEMPTS) throw err;
+      }
+      if (resp?.ok) return resp;
+      if (resp && ((resp.status !== 429 && resp.status < 500) || attempt >= EMBED_ATTEMPTS)) {
+        throw apiError(resp);
+      }
 
-    if (imageCount || textCount) {
-      console.log(`[float-export] embedded ${imageCount} images, ${textCount} text files`);
+      const retryAfter = Number(resp?.headers.get("retry-after")) * 1000;
+      await new Promise((r) => setTimeout(r, retryAfter || EMBED_RETRY_MS * 2 ** (attempt - 1)));
+      signal?.throwIfAborted();
     }
   }
 
@@ -166,7 +471,7 @@
     return null;
   }
 
-  function postCapture(url, data) {
+  function postCapture(url, data, requestId = null) {
     const convMatch = url.match(/chat_conversations\/([0-9a-f-]+)/);
     const conversationId = convMatch ? convMatch[1] : data.uuid || "unknown";
 
@@ -179,6 +484,7 @@
     window.postMessage(
       {
         type: "FLOAT_EXPORT_CAPTURED",
+        requestId,
         conversationId,
         name: data.name || "",
         url,
@@ -0,0 +1,161 @@
+// archive.js — persistent capture archive backed by IndexedDB
+// Stores: "captures" holds small indexed summaries for listing,
+// "capture_data" holds the full API payload keyed by conversation ID,
+// "search_index" holds the full-text index document per conversation
+
+import { buildSearchDoc, searchDocs } from "./search.js";
+
+const DB_NAME = "float-export";
+const DB_VERSION = 2;
+
+const SUMMARY_STORE = "captures";
+const DATA_STORE = "capture_data";
+const SEARCH_STORE = "search_index";
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+
+      if (event.oldVersion < 1) {
+        // Primary key doubles as the conversation ID index
+        const summaries = db.createObjectStore(SUMMARY_STORE, { keyPath: "conversationId" });
+        summaries.createIndex("name", "nameLower");
+        summaries.createIndex("capturedAt", "capturedAt");
+        summaries.createIndex("updatedAt", "updatedAt");
+        summaries.createIndex("model", "model");
+        db.createObjectStore(DATA_STORE, { keyPath: "conversationId" });
+      }
+
+      if (event.oldVersion < 2) {
+        const search = db.createObjectStore(SEARCH_STORE, { keyPath: "conversationId" });
+        // Index captures archived before search existed
+        request.transaction.objectStore(DATA_STORE).openCursor().onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (!cursor) return;
+          search.put(buildSearchDoc(cursor.value.conversationId, cursor.value.data));
+          cursor.continue();
+        };
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+// Wrap a transaction: fn(stores) issues requests, resolves with fn's result
+// once the transaction commits
+async function withStores(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([SUMMARY_STORE, DATA_STORE, SEARCH_STORE], mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+    Promise.resolve(fn({
+      summaries: tx.objectStore(SUMMARY_STORE),
+      data: tx.objectStore(DATA_STORE),
+      search: tx.objectStore(SEARCH_STORE),
+    })).then((r) => { result = r; }, reject);
+  });
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function summarize(capture) {
+  const data = capture.data || {};
+  const name = capture.name || data.name || "";
+  return {
+    conversationId: capture.conversationId,
+    name,
+    nameLower: name.toLowerCase(),
+    model: data.model || "unknown",
+    url: capture.url || "",
+    capturedAt: capture.capturedAt || new Date().toISOString(),
+    createdAt: data.created_at || null,
+    updatedAt: data.updated_at || capture.capturedAt || null,
+    messageCount: data.chat_messages?.length || 0,
+  };
+}
+
+// capture: { conversationId, data, name, url, capturedAt }
+export async function putCapture(capture) {
+  const summary = summarize(capture);
+  const searchDoc = buildSearchDoc(capture.conversationId, capture.data);
+  searchDoc.name = summary.name;
+  await withStores("readwrite", ({ summaries, data, search }) => {
+    summaries.put(summary);
+    data.put({ conversationId: capture.conversationId, data: capture.data });
+    search.put(searchDoc);
+  });
+  return summary;
+}
+
+export async function getSummary(conversationId) {
+  return withStores("readonly", ({ summaries }) =>
+    requestResult(summaries.get(conversationId))
+  );
+}
+
+// Returns { ...summary, data } or null
+export async function getCapture(conversationId) {
+  return withStores("readonly", async ({ summaries, data }) => {
+    const [summary, record] = await Promise.all([
+      requestResult(summaries.get(conversationId)),
+      requestResult(data.get(conversationId)),
+    ]);
+    if (!summary || !record) return null;
+    return { ...summary, data: record.data };
+  });
+}
+
+// List summaries ordered by an index ("capturedAt", "updatedAt", "name", "model")
+// query matches title or conversation ID; model filters exactly
+export async function listCaptures({ orderBy = "capturedAt", direction = "prev", query = "", model = "" } = {}) {
+  const all = await withStores("readonly", ({ summaries }) =>
+    requestResult(summaries.index(orderBy).getAll())
+  );
+
+  const needle = query.trim().toLowerCase();
+  const filtered = all.filter((s) => {
+    if (model && s.model !== model) return false;
+    if (needle && !s.nameLower.includes(needle) && !s.conversationId.includes(needle)) return false;
+    return true;
+  });
+
+  return direction === "prev" ? filtered.reverse() : filtered;
+}
+
+export async function deleteCapture(conversationId) {
+  await withStores("readwrite", ({ summaries, data, search }) => {
+    summaries.delete(conversationId);
+    data.delete(conversationId);
+    search.delete(conversationId);
+  });
+}
+
+// Full-text search over every archived conversation — see search.js
+export async function searchCaptures(query, options = {}) {
+  const docs = await withStores("readonly", ({ search }) =>
+    requestResult(search.getAll())
+  );
+  return searchDocs(docs, query, options);
+}
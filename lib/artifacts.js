@@ -0,0 +1,141 @@
+// artifacts.js — rebuild artifacts from their tool calls
+// Claude edits artifacts through `artifacts` tool_use blocks:
+//   create  { id, type, title, language?, content }
+//   rewrite { id, title?, content }          — replaces the whole body
+//   update  { id, old_str, new_str }         — replaces one occurrence
+// Replaying them in message order gives each artifact's final content and
+// every version along the way.
+
+const TOOL_NAME = "artifacts";
+
+// Artifact MIME type → file extension
+const TYPE_EXTENSIONS = {
+  "text/markdown": "md",
+  "text/html": "html",
+  "text/plain": "txt",
+  "image/svg+xml": "svg",
+  "application/vnd.ant.mermaid": "mmd",
+  "application/vnd.ant.react": "jsx",
+};
+
+// Code artifacts carry a language instead
+const LANGUAGE_EXTENSIONS = {
+  python: "py",
+  javascript: "js",
+  typescript: "ts",
+  jsx: "jsx",
+  tsx: "tsx",
+  rust: "rs",
+  go: "go",
+  java: "java",
+  ruby: "rb",
+  bash: "sh",
+  shell: "sh",
+  sql: "sql",
+  json: "json",
+  yaml: "yaml",
+  html: "html",
+  css: "css",
+  c: "c",
+  cpp: "cpp",
+  csharp: "cs",
+  kotlin: "kt",
+  swift: "swift",
+  php: "php",
+};
+
+// messages: one path through the conversation, in order
+// Returns [{ id, title, type, language, extension, content, versions }]
+// where versions is [{ version, command, messageUuid, content }]
+export function reconstructArtifacts(messages) {
+  const artifacts = new Map();
+
+  for (const msg of messages) {
+    if (!Array.isArray(msg.content)) continue;
+
+    for (const block of msg.content) {
+      if (block?.type !== "tool_use" || block.name !== TOOL_NAME) continue;
+      const input = block.input || {};
+      if (!input.id) continue;
+
+      let artifact = artifacts.get(input.id);
+      let content;
+
+      switch (input.command) {
+        case "create":
+        case "rewrite":
+          content = input.content ?? "";
+          break;
+
+        case "update":
+          // Claude retries an update that didn't match; skip the miss
+          if (!artifact || !input.old_str || !artifact.content.includes(input.old_str)) continue;
+          content = artifact.content.replace(input.old_str, () => input.new_str ?? "");
+          break;
+
+        default:
+          continue;
+      }
+
+      if (!artifact) {
+        artifact = { id: input.id, title: "", type: "", language: "", content: "", versions: [] };
+        artifacts.set(input.id, artifact);
+      }
+      if (input.title) artifact.title = input.title;
+      if (input.type) artifact.type = input.type;
+      if (input.language) artifact.language = input.language;
+
+      artifact.content = content;
+      artifact.versions.push({
+        version: artifact.versions.length + 1,
+        command: input.command,
+        messageUuid: msg.uuid || null,
+        content,
+      });
+    }
+  }
+
+  return [...artifacts.values()].map((artifact) => ({
+    ...artifact,
+    extension: artifactExtension(artifact),
+  }));
+}
+
+function artifactExtension({ type, language }) {
+  const lang = (language || "").toLowerCase();
+  if (LANGUAGE_EXTENSIONS[lang]) return LANGUAGE_EXTENSIONS[lang];
+  if (TYPE_EXTENSIONS[type]) return TYPE_EXTENSIONS[type];
+  return "txt";
+}
+
+// Bundle paths for each artifact — final under artifacts/, earlier versions
+// under artifacts/versions/ when withVersions is set
+// Returns [{ artifact, path, versionPaths: [{ version, path }] }]
+export function artifactPaths(artifacts, { withVersions = false } = {}) {
+  const used = new Set();
+
+  return artifacts.map((artifact) => {
+    const base = uniqueName(safeName(artifact.id), artifact.extension, used);
+    const versionPaths = withVersions && artifact.versions.length > 1
+      ? artifact.versions.map((v) => ({
+          version: v.version,
+          path: `artifacts/versions/${base}.v${v.version}.${artifact.extension}`,
+        }))
+      : [];
+    return { artifact, path: `artifacts/${base}.${artifact.extension}`, versionPaths };
+  });
+}
+
+function safeName(id) {
+  return id.replace(/[^A-Za-z0-9._-]+/g, "-").replace(/^[.-]+/, "").slice(0, 80) || "artifact";
+}
+
+// IDs that sanitize to the same name get a numeric suffix
+function uniqueName(name, extension, used) {
+  let candidate = name;
+  for (let n = 2; used.has(`${candidate}.${extension}`); n++) {
+    candidate = `${name}-${n}`;
+  }
+  used.add(`${candidate}.${extension}`);
+  return candidate;
+}
@@ -0,0 +1,263 @@
+// canonical.js — versioned, documented JSON / JSONL export
+// Same input as formatter.js (the chat_conversations API object), normalized
+// so downstream tools don't have to scrape markdown.
+// Schema: schema/conversation-v1.schema.json — bump CANONICAL_VERSION on any
+// breaking change to the shape below.
+//
+// {
+//   schema: "float-export/conversation", version: 1, exportedAt,
+//   conversation: { id, name, model, createdAt, updatedAt, currentLeafId },
+//   selection: { branch, leafId, since },
+//   messages: [{ id, parentId, index, branch, sender, createdAt, updatedAt,
+//                stopReason, blocks: [...], files: [...] }],
+//   toolCalls: [{ id, name, messageId, input, result }]
+// }
+
+import { selectBranches, extractToolResultText, unwrapToolOutput } from "./formatter.js";
+
+export const CANONICAL_SCHEMA = "float-export/conversation";
+export const CANONICAL_VERSION = 1;
+
+// options: same branch/leaf/since selection as the markdown formatters, plus
+//   fileData: "inline" (default) embeds base64/text, "reference" only names
+//             the file — with filePaths (Map file → bundle path) for bundles
+export function toCanonical(data, meta = {}, options = {}) {
+  const segments = selectBranches(data, options);
+  const fileData = options.fileData || "inline";
+  const filePaths = options.filePaths || new Map();
+
+  const messages = [];
+  for (const segment of segments) {
+    for (const msg of segment.messages) {
+      messages.push(canonicalMessage(msg, segment.label, { fileData, filePaths }));
+    }
+  }
+
+  return {
+    schema: CANONICAL_SCHEMA,
+    version: CANONICAL_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversation: {
+      id: data?.uuid || meta.conversationId || null,
+      name: data?.name || meta.name || "",
+      model: data?.model || null,
+      createdAt: data?.created_at || null,
+      updatedAt: data?.updated_at || null,
+      currentLeafId: data?.current_leaf_message_uuid || null,
+    },
+    selection: {
+      branch: options.branch || "active",
+      leafId: options.leafId || null,
+      since: options.since || null,
+    },
+    messages,
+    toolCalls: linkToolCalls(messages),
+  };
+}
+
+export function formatJson(data, meta = {}, options = {}) {
+  return JSON.stringify(toCanonical(data, meta, options), null, 2);
+}
+
+// One JSON record per line. First line is the conversation header;
+// options.unit: "message" (default) or "block" for one line per content block
+export function formatJsonl(data, meta = {}, options = {}) {
+  const canonical = toCanonical(data, meta, options);
+  const conversationId = canonical.conversation.id;
+  const records = [{
+    record: "conversation",
+    schema: canonical.schema,
+    version: canonical.version,
+    exportedAt: canonical.exportedAt,
+    ...canonical.conversation,
+  }];
+
+  for (const msg of canonical.messages) {
+    if (options.unit === "block") {
+      const { blocks, files, ...header } = msg;
+      blocks.forEach((block, blockIndex) => {
+        records.push({
+          record: "block",
+          conversationId,
+          messageId: header.id,
+          sender: header.sender,
+          createdAt: header.createdAt,
+          blockIndex,
+          ...block,
+        });
+      });
+      for (const file of files) {
+        records.push({ record: "file", conversationId, messageId: header.id, ...file });
+      }
+    } else {
+      records.push({ record: "message", conversationId, ...msg });
+    }
+  }
+
+  return records.map((r) => JSON.stringify(r)).join("\n") + "\n";
+}
+
+function canonicalMessage(msg, branchLabel, fileOptions) {
+  return {
+    id: msg.uuid || null,
+    parentId: msg.parent_message_uuid || null,
+    index: msg.index ?? null,
+    branch: branchLabel || null,
+    sender: normalizeSender(msg.sender),
+    createdAt: msg.created_at || null,
+    updatedAt: msg.updated_at || null,
+    stopReason: msg.stop_reason || null,
+    blocks: canonicalBlocks(msg),
+    files: [
+      ...(msg.files_v2 || msg.files || []).map((f) => canonicalFile(f, fileOptions)),
+      ...(msg.attachments || []).map((a) => canonicalAttachment(a, fileOptions)),
+    ],
+  };
+}
+
+function normalizeSender(sender) {
+  if (sender === "human" || sender === "user") return "human";
+  if (sender === "assistant") return "assistant";
+  return "unknown";
+}
+
+function canonicalBlocks(msg) {
+  const content = msg.content;
+  if (typeof content === "string") return [{ type: "text", text: content }];
+  if (!Array.isArray(content)) return msg.text ? [{ type: "text", text: msg.text }] : [];
+
+  const blocks = [];
+  for (const block of content) {
+    if (typeof block === "string") {
+      blocks.push({ type: "text", text: block });
+      continue;
+    }
+
+    switch (block.type) {
+      case "text":
+        blocks.push({ type: "text", text: block.text || "" });
+        break;
+
+      case "thinking":
+        blocks.push({
+          type: "thinking",
+          text: block.thinking || "",
+          summaries: (block.summaries || []).map((s) => s.summary || s),
+          truncated: !!block.cut_off,
+        });
+        break;
+
+      case "tool_use":
+        blocks.push({
+          type: "tool_use",
+          id: block.id || null,
+          name: block.name || null,
+          input: block.input || {},
+        });
+        break;
+
+      case "tool_result":
+        blocks.push({
+          type: "tool_result",
+          toolUseId: block.tool_use_id || null,
+          name: block.name || null,
+          isError: !!block.is_error,
+          text: unwrapToolOutput(extractToolResultText(block.content)),
+          content: canonicalResultContent(block.content),
+        });
+        break;
+
+      case "token_budget":
+        break; // Internal, skip
+
+      default:
+        blocks.push({ type: "unknown", originalType: block.type || null, raw: block });
+    }
+  }
+  return blocks;
+}
+
+function canonicalResultContent(content) {
+  if (typeof content === "string") return [{ type: "text", text: content }];
+  if (!Array.isArray(content)) return content == null ? [] : [{ type: "json", value: content }];
+
+  return content.map((c) => {
+    if (typeof c === "string") return { type: "text", text: c };
+    if (c.type === "text") return { type: "text", text: c.text || "" };
+    if (c.type === "image") {
+      return {
+        type: "image",
+        mediaType: c.source?.media_type || null,
+        sourceType: c.source?.type || null,
+        data: c.source?.data || null,
+      };
+    }
+    return { type: "json", value: c };
+  });
+}
+
+function canonicalFile(file, { fileData, filePaths }) {
+  const record = {
+    id: file.file_uuid || file.uuid || null,
+    name: file.file_name || "file",
+    kind: file.file_kind || "unknown",
+    mediaType: file._embedded_media_type || null,
+    size: file._embedded_base64
+      ? Math.round(file._embedded_base64.length * 0.75)
+      : file._embedded_text?.length ?? null,
+    embedded: file._embedded_base64 ? "base64" : file._embedded_text ? "text" : null,
+    path: filePaths.get(file) || null,
+  };
+
+  if (fileData === "inline") {
+    if (file._embedded_base64) record.data = file._embedded_base64;
+    if (file._embedded_text) record.text = file._embedded_text;
+  }
+  return record;
+}
+
+// Legacy attachments carry their extracted text inline
+function canonicalAttachment(att, { fileData }) {
+  const record = {
+    id: att.id || null,
+    name: att.file_name || att.name || "file",
+    kind: "attachment",
+    mediaType: att.file_type || att.content_type || null,
+    size: att.file_size ?? null,
+    embedded: att.extracted_content ? "text" : null,
+    path: null,
+  };
+  if (fileData === "inline" && att.extracted_content) record.text = att.extracted_content;
+  return record;
+}
+
+// Pair tool_use blocks with their tool_result by ID
+function linkToolCalls(messages) {
+  const calls = new Map();
+
+  for (const msg of messages) {
+    for (const block of msg.blocks) {
+      if (block.type === "tool_use" && block.id) {
+        calls.set(block.id, {
+          id: block.id,
+          name: block.name,
+          messageId: msg.id,
+          input: block.input,
+          result: null,
+        });
+      }
+    }
+  }
+
+  for (const msg of messages) {
+    for (const block of msg.blocks) {
+      if (block.type !== "tool_result") continue;
+      const call = calls.get(block.toolUseId);
+      if (call) {
+        call.result = { messageId: msg.id, isError: block.isError, text: block.text };
+      }
+    }
+  }
+
+  return [...calls.values()];
+}
@@ -0,0 +1,108 @@
+// export.js — one export from capture to file: format, filename, packaging
+// Shared by the popup's buttons and the background worker's shortcuts and
+// context menu, so a file comes out the same whichever started it. Delivery
+// (anchor click, chrome.downloads, clipboard) stays with the caller.
+
+import { deltaCursor, formatConversation, formatBundle } from "./formatter.js";
+import { formatJson, formatJsonl } from "./canonical.js";
+import { formatHtml } from "./html.js";
+import { formatObsidian } from "./obsidian.js";
+import { formatForOutliner, OUTLINER_DIALECTS } from "./outliner.js";
+import { mergeSettings, renderFilename } from "./settings.js";
+
+// Formats whose files must be embedded — callers refetch before building
+export const FRESH_FETCH_FORMATS = ["bundle", "obsidian"];
+
+// Single-file formats: settings.filenames key, extension, media type
+const SINGLE_FILES = {
+  markdown: { kind: "markdown", ext: "md", type: "text/markdown", format: formatConversation },
+  html: { kind: "html", ext: "html", type: "text/html", format: formatHtml },
+  json: { kind: "data", ext: "json", type: "application/json", format: formatJson },
+  jsonl: { kind: "data", ext: "jsonl", type: "application/x-ndjson", format: formatJsonl },
+};
+
+// capture: { data, name, conversationId } as GET_CAPTURE_DATA returns it
+// options: formatter options (branch, since, messages, settings), plus
+// dialect for "outliner"
+// Returns { filename, type, text } for single files, or { filename, type,
+// files } for zips (see zipFiles), each with a one-line summary
+// A stale options.since (see deltaCursor) is dropped, giving a full export.
+export function buildExport(format, capture, options = {}) {
+  options = { ...options, since: deltaCursor(capture.data, options) };
+  const settings = mergeSettings(options.settings);
+  const meta = { conversationId: capture.conversationId, name: capture.name };
+  const filename = (kind, ext) => exportFilename(settings, kind, capture, ext);
+
+  if (SINGLE_FILES[format]) {
+    const { kind, ext, type, format: render } = SINGLE_FILES[format];
+    const text = render(capture.data, meta, options);
+    return { filename: filename(kind, ext), type, text, summary: `${text.length.toLocaleString()} chars` };
+  }
+
+  switch (format) {
+    case "outliner": {
+      const key = OUTLINER_DIALECTS[options.dialect] ? options.dialect : settings.outliner.dialect;
+      const dialect = OUTLINER_DIALECTS[key] || OUTLINER_DIALECTS.float;
+      const text = formatForOutliner(capture.data, meta, { ...options, dialect: key });
+      return {
+        filename: filename("outliner", dialect.extension),
+        type: dialect.mediaType,
+        text,
+        summary: `${dialect.label} export`,
+      };
+    }
+
+    case "bundle": {
+      const bundle = formatBundle(capture.data, meta, options);
+      // Markdown named after the conversation, plus extracted files
+      const mdSlug = (capture.name || "conversation")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .slice(0, 60);
+      return {
+        filename: filename("bundle", "zip"),
+        type: "application/zip",
+        files: [{ path: `${mdSlug}.md`, data: bundle.markdown, type: "text" }, ...bundle.files],
+        summary: `${bundle.files.length} files`,
+      };
+    }
+
+    case "obsidian": {
+      const vault = formatObsidian(capture.data, meta, options);
+      return {
+        filename: filename("obsidian", "zip"),
+        type: "application/zip",
+        files: [{ path: filename("obsidian", "md"), data: vault.markdown, type: "text" }, ...vault.files],
+        summary: `note + ${vault.files.length} attachments`,
+      };
+    }
+
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+// Download name from the template in settings, e.g. filenames.markdown
+export function exportFilename(settings, kind, capture, ext) {
+  const base = renderFilename(settings.filenames[kind], {
+    name: capture.name,
+    conversationId: capture.conversationId,
+    model: capture.data?.model,
+  });
+  return `${base}.${ext}`;
+}
+
+// files: [{ path, data, type: "text" | "base64" }] → zip. JSZip is a
+// classic script, so the caller passes in the constructor it loaded.
+// output: "blob" for pages, "base64" for the worker (no object URLs there)
+export function zipFiles(JSZip, files, output = "blob") {
+  const zip = new JSZip();
+  for (const file of files) {
+    if (file.type === "base64") {
+      zip.file(file.path, file.data, { base64: true });
+    } else {
+      zip.file(file.path, file.data);
+    }
+  }
+  return zip.generateAsync({ type: output });
+}
@@ -1,51 +1,48 @@
 // formatter.js — converts Claude API conversation object to markdown
 // Block types: text, tool_use, tool_result, thinking, token_budget
-// Bundle export: zip with markdown + extracted image files
-
-// Truncation limits — generous for wood-chipper use case
-// Set to 0 for no truncation
-const LIMITS = {
-  toolUseMeta: 2000,     // JSON metadata fields in tool_use
-  toolUseContent: 0,     // Rich content fields (content, new_str, etc.) — no limit
-  toolResult: 0,         // Tool result body — no limit
-  thinking: 0,           // Thinking blocks — no limit
-};
-
-export function formatConversation(data, meta = {}) {
+// Bundle export: zip with markdown, HTML, canonical JSON/JSONL, extracted files,
+// stats.json and a manifest.json
+
+import { formatJson, formatJsonl } from "./canonical.js";
+import { formatHtml } from "./html.js";
+import { DEFAULT_SETTINGS, mergeSettings } from "./settings.js";
+import { reconstructArtifacts, artifactPaths } from "./artifacts.js";
+import { compileRules, redactMessage } from "./redact.js";
+import { conversationStats } from "./stats.js";
+import { toolUseView, toolResultView } from "./renderers.js";
+
+// Outliner export lives in outliner.js (block tree + per-app serializers)
+export { formatForOutliner } from "./outliner.js";
+
+// Every entry point takes options.settings (see settings.js) for truncation
+// limits, included block types, rich fields, the language map and redaction
+
+// options.branch: "active" (default), "all" or "leaf" (with options.leafId)
+// options.since: message UUID of the last export — only newer messages are
+// emitted, under a continuation header, ready to append to the earlier file
+// options.messages: only these message UUIDs (a selection made in the popup)
+// — see selectBranches() below
+export function formatConversation(data, meta = {}, options = {}) {
   const messages = data?.chat_messages || [];
   if (!messages.length) return "<!-- No messages found in capture -->";
 
-  const lines = [];
-
-  // Header — title first (HTML comments as first line breaks NotebookLM)
-  lines.push(`# ${data.name || meta.name || "Claude Conversation"}`);
-  lines.push("");
-  lines.push(`<!-- float-export v0.1 | ${data.model || "unknown"} | ${messages.length} messages -->`);
-  lines.push(`<!-- conversation: ${data.uuid || meta.conversationId || "unknown"} -->`);
-  lines.push(`<!-- exported: ${new Date().toISOString()} -->`);
-  lines.push("");
-
-  // Walk the message tree — chat_messages with parent_message_uuid form a tree
-  // For now, flatten in order (they come sorted from API)
-  for (const msg of messages) {
-    const formatted = formatMessage(msg);
-    if (formatted) {
-      lines.push(formatted);
-      lines.push("");
-      lines.push("---");
-      lines.push("");
-    }
-  }
-
-  return lines.join("\n");
+  return formatConversationWithMode(data, meta, "inline", options);
 }
 
-function formatMessage(msg) {
+// filePaths: Map file object (or tool result image) → bundle path, from
+// formatBundle (bundle mode)
+// metadata: from messageMetadata() — a UUID anchor and a details line under
+// the heading
+export function formatMessage(msg, fileMode = "inline", settings = DEFAULT_SETTINGS, filePaths = null, metadata = null) {
   const sender = msg.sender || "unknown";
   const lines = [];
 
   const label = sender === "human" ? "Human" : "Assistant";
   lines.push(`## ${label}`);
+  if (metadata) {
+    if (metadata.uuid) lines.push(`<a id="msg-${metadata.uuid}"></a>`);
+    lines.push(`*${[...metadataParts(metadata), metadata.uuid && `\`${metadata.uuid}\``].filter(Boolean).join(" · ")}*`);
+  }
   lines.push("");
 
   const content = msg.content;
@@ -54,7 +51,7 @@ function formatMessage(msg) {
     lines.push(content);
   } else if (Array.isArray(content)) {
     for (const block of content) {
-      const formatted = formatBlock(block);
+      const formatted = formatBlock(block, settings, filePaths);
       if (formatted) {
         lines.push(formatted);
         lines.push("");
@@ -70,7 +67,7 @@ function formatMessage(msg) {
   if (files.length) {
     lines.push("");
     for (const file of files) {
-      lines.push(formatFile(file));
+      lines.push(formatFile(file, fileMode, settings, filePaths?.get(file)));
     }
   }
 
@@ -87,13 +84,14 @@ function formatMessage(msg) {
 }
 
 // mode: "inline" (base64 data URIs) or "bundle" (relative paths, files collected separately)
-function formatFile(file, mode = "inline") {
+// path: where formatBundle put the file in the zip
+function formatFile(file, mode = "inline", settings = DEFAULT_SETTINGS, path = null) {
   const name = file.file_name || "file";
   const kind = file.file_kind || "unknown";
 
-  if (mode === "bundle" && file._embedded_base64 && kind === "image") {
+  if (mode === "bundle" && path && file._embedded_base64 && kind === "image") {
     // Bundle mode: reference image by relative path
-    return `![${name}](images/${name})`;
+    return `![${name}](${encodeURI(path)})`;
   }
 
   // Inline mode: embedded image → markdown image with base64 data URI
@@ -105,13 +103,13 @@ function formatFile(file, mode = "inline") {
   // Embedded text content → render inline (both modes)
   if (file._embedded_text) {
     const ext = name.split(".").pop() || "";
-    const lang = ext === "py" ? "python" : ext === "js" ? "javascript" : ext === "ts" ? "typescript" : ext === "rs" ? "rust" : ext;
+    const lang = settings.languages[ext] || ext;
     return `**${name}:**\n\n\`\`\`${lang}\n${file._embedded_text}\n\`\`\``;
   }
 
-  if (mode === "bundle" && file._embedded_base64 && kind !== "image") {
+  if (mode === "bundle" && path && file._embedded_base64 && kind !== "image") {
     // Bundle mode: reference binary by relative path
-    return `**${name}** → [${name}](files/${name})`;
+    return `**${name}** → [${name}](${encodeURI(path)})`;
   }
 
   // Embedded binary (PDF etc) — note it exists but can't render inline
@@ -123,7 +121,7 @@ function formatFile(file, mode = "inline") {
   return `**${name}** (${kind})`;
 }
 
-function formatBlock(block) {
+function formatBlock(block, settings, filePaths = null) {
   if (typeof block === "string") return block;
 
   switch (block.type) {
@@ -131,13 +129,13 @@ function formatBlock(block) {
       return block.text || "";
 
     case "tool_use":
-      return formatToolUse(block);
+      return formatToolUse(block, settings);
 
     case "tool_result":
-      return formatToolResult(block);
+      return formatToolResult(block, settings, filePaths);
 
     case "thinking":
-      return formatThinking(block);
+      return formatThinking(block, settings);
 
     case "token_budget":
       return null; // Internal, skip
@@ -147,56 +145,80 @@ function formatBlock(block) {
   }
 }
 
-// Fields likely to contain markdown/code content worth rendering raw
-const RICH_CONTENT_FIELDS = new Set([
-  "content", "new_str", "old_str", "text", "body", "description",
-  "message", "prompt", "code", "script", "markdown", "html",
-  "new_string", "old_string", "file_text",
-]);
+// Tool calls and results go through the renderer registry (renderers.js);
+// this draws its sections as markdown
+function formatToolUse(block, settings) {
+  const view = toolUseView(block, settings);
+  const sections = view.sections.map((section) => markdownSection(section, settings)).filter(Boolean);
+  return [`### Tool Use: \`${view.name}\``, ...sections].join("\n\n");
+}
+
+function formatToolResult(block, settings, filePaths = null) {
+  const view = toolResultView(block);
+  const name = view.name ? ` (${view.name})` : "";
+  const prefix = view.isError ? `Tool Result${name} (ERROR)` : `Tool Result${name}`;
+  const sections = view.sections.map((section) => markdownSection(section, settings, view.isError, filePaths)).filter(Boolean);
+  return [`### ${prefix}`, ...sections].join("\n\n");
+}
 
-function formatToolUse(block) {
-  const name = block.name || "unknown_tool";
-  const input = block.input || {};
+// filePaths: bundle paths, for tool result images (see formatMessage)
+export function markdownSection(section, settings, isError = false, filePaths = null) {
+  const { limits } = settings;
 
-  // Separate rich content fields from metadata fields
-  const richFields = {};
-  const metaFields = {};
+  switch (section.type) {
+    case "fields":
+      // Metadata fields as compact JSON (file paths, flags, etc.)
+      return `\`\`\`json\n${truncate(JSON.stringify(section.values, null, 2), limits.toolUseMeta)}\n\`\`\``;
 
-  for (const [key, val] of Object.entries(input)) {
-    if (RICH_CONTENT_FIELDS.has(key) && typeof val === "string" && val.includes("\n")) {
-      richFields[key] = val;
-    } else {
-      metaFields[key] = val;
-    }
-  }
+    case "field":
+      // Rich content fields raw — usually markdown or code already
+      return `**${section.name}:**\n\n${truncate(section.text, limits.toolUseContent)}`;
 
-  const lines = [`### Tool Use: \`${name}\``];
-  lines.push("");
+    case "diff":
+      return `\`\`\`diff\n${truncate(section.text, limits.toolUseContent)}\n\`\`\``;
 
-  // Show metadata fields as compact JSON (file paths, flags, etc.)
-  if (Object.keys(metaFields).length > 0) {
-    const metaStr = JSON.stringify(metaFields, null, 2);
-    lines.push(`\`\`\`json\n${truncate(metaStr, LIMITS.toolUseMeta)}\n\`\`\``);
-  }
+    case "shell":
+      if (section.command != null) {
+        return `\`\`\`console\n$ ${truncate(section.command, limits.toolUseContent)}\n\`\`\``;
+      }
+      // stdout, then stderr under its own label, as unwrapToolOutput does
+      return [
+        section.output
+          ? `\`\`\`console\n${truncate(section.output, limits.toolResult)}\n\`\`\``
+          : !section.stderr && "_(no output)_",
+        section.stderr ? `**stderr:**\n\n\`\`\`console\n${truncate(section.stderr, limits.toolResult)}\n\`\`\`` : null,
+        section.exitCode ? `_(exit ${section.exitCode})_` : null,
+      ].filter(Boolean).join("\n\n");
+
+    case "links":
+      return section.links
+        .map((link) => `- [${link.title.replace(/[[\]]/g, "")}](${markdownUrl(link.url)})${link.snippet ? ` — ${link.snippet}` : ""}`)
+        .join("\n");
+
+    case "body":
+      return markdownToolOutput(section.content, settings, isError);
+
+    case "image": {
+      // Bundle mode links the copy under images/, otherwise the data itself
+      const path = filePaths?.get(section.image);
+      const src = path ? encodeURI(path) : imageUrl(section.image);
+      return src ? `![${section.alt}](${markdownUrl(src)})` : "_(image)_";
+    }
 
-  // Render rich content fields as raw markdown/code
-  for (const [key, val] of Object.entries(richFields)) {
-    lines.push("");
-    lines.push(`**${key}:**`);
-    lines.push("");
-    lines.push(truncate(val, LIMITS.toolUseContent));
+    default:
+      return null;
   }
-
-  return lines.join("\n");
 }
 
-function formatToolResult(block) {
-  const name = block.name ? ` (${block.name})` : "";
-  const isError = block.is_error;
-  const prefix = isError ? `Tool Result${name} (ERROR)` : `Tool Result${name}`;
+// Parentheses and spaces would end a markdown link early
+function markdownUrl(url) {
+  return url.replace(/\(/g, "%28").replace(/\)/g, "%29").replace(/\s/g, "%20");
+}
 
+// Generic tool output: YAML for JSON, fenced for one-liners and errors,
+// raw markdown for the rest
+function markdownToolOutput(content, settings, isError) {
   let body;
-  const content = block.content;
 
   if (typeof content === "string") {
     body = content;
@@ -205,7 +227,6 @@ function formatToolResult(block) {
       .map((c) => {
         if (typeof c === "string") return c;
         if (c.type === "text") return c.text || "";
-        if (c.type === "image") return `[image: ${c.source?.type || "embedded"}]`;
         return JSON.stringify(c, null, 2);
       })
       .join("\n");
@@ -226,21 +247,21 @@ function formatToolResult(block) {
     try {
       const parsed = JSON.parse(trimmed);
       const yaml = jsonToYaml(parsed);
-      return `### ${prefix}\n\n\`\`\`yaml\n${truncate(yaml, LIMITS.toolResult)}\n\`\`\``;
+      return `\`\`\`yaml\n${truncate(yaml, settings.limits.toolResult)}\n\`\`\``;
     } catch {
-      return `### ${prefix}\n\n\`\`\`json\n${truncate(body, LIMITS.toolResult)}\n\`\`\``;
+      return `\`\`\`json\n${truncate(body, settings.limits.toolResult)}\n\`\`\``;
     }
   } else if (looksLikeCode || isError) {
-    return `### ${prefix}\n\n\`\`\`\n${truncate(body, LIMITS.toolResult)}\n\`\`\``;
+    return `\`\`\`\n${truncate(body, settings.limits.toolResult)}\n\`\`\``;
   } else {
     // Render as raw markdown — this is where file contents, search results, etc. live
-    return `### ${prefix}\n\n${truncate(body, LIMITS.toolResult)}`;
+    return truncate(body, settings.limits.toolResult);
   }
 }
 
 // Unwrap common JSON wrappers that hide readable content
 // e.g. {"returncode":0,"stdout":"actual content\nhere","stderr":""}
-function unwrapToolOutput(body) {
+export function unwrapToolOutput(body) {
   const trimmed = body.trim();
   if (!trimmed.startsWith("{")) return body;
 
@@ -272,7 +293,7 @@ function unwrapToolOutput(body) {
   return body;
 }
 
-function formatThinking(block) {
+function formatThinking(block, settings) {
   const text = block.thinking || "";
   if (!text) return null;
 
@@ -280,208 +301,77 @@ function formatThinking(block) {
     ? `\n\n**Summary:** ${block.summaries.map((s) => s.summary || s).join(" ")}`
     : "";
 
-  return `<details>\n<summary>Thinking${block.cut_off ? " (truncated)" : ""}</summary>\n\n${truncate(text, LIMITS.thinking)}${summary}\n\n</details>`;
+  return `<details>\n<summary>Thinking${block.cut_off ? " (truncated)" : ""}</summary>\n\n${truncate(text, settings.limits.thinking)}${summary}\n\n</details>`;
 }
 
-function truncate(str, max) {
+export function truncate(str, max) {
   if (!str || !max || str.length <= max) return str;
   return str.slice(0, max) + "\n... (truncated)";
 }
 
-// ═══════════════════════════════════════════════════════════
-// Outliner format — conversation as a typed block tree
-// Uses prefix:: syntax, indentation for nesting,
-// collapsible sections for tool calls and thinking
-// ═══════════════════════════════════════════════════════════
-
-export function formatForOutliner(data, meta = {}) {
-  const messages = data?.chat_messages || [];
-  if (!messages.length) return "export:: empty conversation";
-
-  const lines = [];
-
-  // Header block
-  const title = data.name || meta.name || "Claude Conversation";
-  lines.push(`export:: ${title}`);
-  lines.push(`  model:: ${data.model || "unknown"}`);
-  lines.push(`  messages:: ${messages.length}`);
-  lines.push(`  exported:: ${new Date().toISOString()}`);
-  lines.push(`  id:: ${data.uuid || meta.conversationId || "unknown"}`);
-
-  for (const msg of messages) {
-    lines.push("");
-    const blocks = outlinerMessage(msg);
-    lines.push(...blocks);
-  }
+// Backticks for a fence around code: longer than any run inside, so nested
+// fences survive
+export function fenceFor(code) {
+  const longest = (code.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 2);
+  return "`".repeat(longest + 1);
+}
 
-  return lines.join("\n");
+// Text blocks only, joined — outliner user lines and branch previews
+export function extractPlainText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .filter((b) => b.type === "text")
+    .map((b) => b.text || "")
+    .join("\n");
 }
 
-function outlinerMessage(msg) {
-  const sender = msg.sender || "unknown";
+// Plain-text pieces of a message, one per block — same block walk as
+// formatBlock, minus the markdown. Used to build the search index.
+// Returns [{ kind: "text" | "thinking" | "tool_use" | "tool_result" | "file", text }]
+export function extractMessageTexts(msg) {
+  const texts = [];
   const content = msg.content;
-  const lines = [];
-
-  if (sender === "human" || sender === "user") {
-    // Human messages — inline short ones, nest long ones
-    const text = extractPlainText(content) || msg.text || "";
-    const firstLine = text.split("\n")[0].slice(0, 120);
-    const rest = text.split("\n").slice(1).join("\n").trim();
 
-    lines.push(`user:: ${firstLine}`);
-    if (rest) {
-      for (const line of rest.split("\n")) {
-        lines.push(`  ${line}`);
-      }
-    }
-
-    // Files as nested blocks
-    const files = msg.files_v2 || msg.files || [];
-    for (const file of files) {
-      const name = file.file_name || "file";
-      const kind = file.file_kind || "unknown";
-      const hasEmbed = file._embedded_base64 || file._embedded_text;
-      lines.push(`  file:: ${name} (${kind}${hasEmbed ? ", embedded" : ""})`);
-    }
-
-    // Legacy attachments
-    if (msg.attachments?.length) {
-      for (const att of msg.attachments) {
-        lines.push(`  attachment:: ${att.file_name || att.name || "file"} (${att.file_type || "unknown"})`);
-      }
-    }
-  } else {
-    // Assistant messages — walk content blocks
-    lines.push(`response::`);
-
-    if (typeof content === "string") {
-      for (const line of content.split("\n")) {
-        lines.push(`  ${line}`);
+  if (typeof content === "string") {
+    texts.push({ kind: "text", text: content });
+  } else if (Array.isArray(content)) {
+    for (const block of content) {
+      if (typeof block === "string") {
+        texts.push({ kind: "text", text: block });
+        continue;
       }
-    } else if (Array.isArray(content)) {
-      for (const block of content) {
-        const blockLines = outlinerBlock(block);
-        if (blockLines) {
-          lines.push(...blockLines);
+      switch (block.type) {
+        case "text":
+          texts.push({ kind: "text", text: block.text || "" });
+          break;
+        case "thinking":
+          texts.push({ kind: "thinking", text: block.thinking || "" });
+          break;
+        case "tool_use": {
+          const values = Object.values(block.input || {})
+            .map((v) => (typeof v === "string" ? v : JSON.stringify(v)));
+          texts.push({ kind: "tool_use", text: [block.name || "", ...values].join("\n") });
+          break;
         }
-      }
-    } else if (msg.text) {
-      for (const line of msg.text.split("\n")) {
-        lines.push(`  ${line}`);
+        case "tool_result":
+          texts.push({ kind: "tool_result", text: unwrapToolOutput(extractToolResultText(block.content)) });
+          break;
       }
     }
+  } else if (msg.text) {
+    texts.push({ kind: "text", text: msg.text });
   }
 
-  return lines;
-}
-
-function outlinerBlock(block) {
-  if (typeof block === "string") {
-    return block.split("\n").map((l) => `  ${l}`);
-  }
-
-  switch (block.type) {
-    case "text":
-      return outlinerText(block);
-    case "tool_use":
-      return outlinerToolUse(block);
-    case "tool_result":
-      return outlinerToolResult(block);
-    case "thinking":
-      return outlinerThinking(block);
-    case "token_budget":
-      return null;
-    default:
-      return [`  unknown:: ${block.type}`];
-  }
-}
-
-function outlinerText(block) {
-  const text = block.text || "";
-  if (!text.trim()) return null;
-  return text.split("\n").map((l) => `  ${l}`);
-}
-
-function outlinerToolUse(block) {
-  const name = block.name || "unknown";
-  const input = block.input || {};
-  const lines = [];
-
-  // Build a compact summary for the tool call header
-  const summary = toolCallSummary(name, input);
-  lines.push(`  tool:: ${name} ${summary}`);
-
-  // Nest input fields
-  for (const [key, val] of Object.entries(input)) {
-    if (typeof val === "string" && val.includes("\n")) {
-      // Multiline content — nest deeply
-      lines.push(`    ${key}::`);
-      for (const line of val.split("\n")) {
-        lines.push(`      ${line}`);
-      }
-    } else if (typeof val === "string" && val.length > 120) {
-      // Long string — nest
-      lines.push(`    ${key}:: ${val.slice(0, 120)}...`);
-    } else if (typeof val === "object" && val !== null) {
-      lines.push(`    ${key}:: ${JSON.stringify(val)}`);
-    } else {
-      lines.push(`    ${key}:: ${val}`);
-    }
-  }
-
-  return lines;
-}
-
-function outlinerToolResult(block) {
-  const name = block.name || "";
-  const isError = block.is_error;
-  const label = isError ? `result:: ERROR${name ? " " + name : ""}` : `result::${name ? " " + name : ""}`;
-  const lines = [];
-
-  let body = extractToolResultText(block.content);
-  body = unwrapToolOutput(body);
-
-  const firstLine = body.split("\n")[0].slice(0, 120);
-  const rest = body.split("\n").slice(1);
-
-  lines.push(`    ${label} ${firstLine}`);
-  for (const line of rest) {
-    lines.push(`      ${line}`);
-  }
-
-  return lines;
-}
-
-function outlinerThinking(block) {
-  const text = block.thinking || "";
-  if (!text.trim()) return null;
-
-  const lines = [];
-  const preview = text.split("\n")[0].slice(0, 80);
-  lines.push(`  thinking:: ${preview}${text.includes("\n") ? "..." : ""}`);
-
-  // Full content nested underneath (collapsible in outliner)
-  for (const line of text.split("\n")) {
-    lines.push(`    ${line}`);
-  }
-
-  if (block.summaries?.length) {
-    lines.push(`    summary:: ${block.summaries.map((s) => s.summary || s).join(" ")}`);
+  for (const file of msg.files_v2 || msg.files || []) {
+    const name = file.file_name || "file";
+    texts.push({ kind: "file", text: file._embedded_text ? `${name}\n${file._embedded_text}` : name });
   }
 
-  return lines;
+  return texts.filter((t) => t.text.trim());
 }
 
-function extractPlainText(content) {
-  if (typeof content === "string") return content;
-  if (!Array.isArray(content)) return "";
-  return content
-    .filter((b) => b.type === "text")
-    .map((b) => b.text || "")
-    .join("\n");
-}
-
-function extractToolResultText(content) {
+export function extractToolResultText(content) {
   if (typeof content === "string") return content;
   if (Array.isArray(content)) {
     return content
@@ -496,134 +386,570 @@ function extractToolResultText(content) {
   return JSON.stringify(content, null, 2);
 }
 
-// Compact summary for tool call headers
-function toolCallSummary(name, input) {
-  // Common patterns — show the most useful field inline
-  if (input.file_path) return `→ ${input.file_path}`;
-  if (input.path) return `→ ${input.path}`;
-  if (input.command) return `→ ${input.command.split("\n")[0].slice(0, 80)}`;
-  if (input.pattern) return `→ ${input.pattern}`;
-  if (input.query) return `→ ${input.query.slice(0, 80)}`;
-  if (input.url) return `→ ${input.url.slice(0, 80)}`;
-  if (input.skill) return `→ ${input.skill}`;
-  if (input.title) return `→ ${input.title.slice(0, 80)}`;
-  return "";
+// ═══════════════════════════════════════════════════════════
+// Tool result images
+// ═══════════════════════════════════════════════════════════
+
+// Image blocks in tool_result content: { type: "image", source: { type:
+// "base64", media_type, data } }, or a { type: "url", url } source
+
+const IMAGE_EXTENSIONS = { "image/png": "png", "image/jpeg": "jpg", "image/gif": "gif", "image/webp": "webp" };
+
+export function isEmbeddedImage(block) {
+  return block?.type === "image" && block.source?.type === "base64" && !!block.source.data;
+}
+
+// Data URI or remote URL; null when the block has neither
+export function imageUrl(image) {
+  if (isEmbeddedImage(image)) return `data:${image.source.media_type || "image/png"};base64,${image.source.data}`;
+  if (image?.source?.type === "url" && image.source.url) return image.source.url;
+  return null;
+}
+
+// images/<tool>-<hash>.<ext> — where formatBundle puts an embedded image, so
+// exports without the zip (the outliner) can name the same file.
+// contents: formatBundle's path → data map, for the collision suffix
+export function toolImagePath(image, toolName, contents = new Map()) {
+  const { data, media_type: mediaType = "image/png" } = image.source;
+  const ext = IMAGE_EXTENSIONS[mediaType] || mediaType.split("/").pop();
+  return bundleFilePath("images", `${toolName || "tool"}.${ext}`, contentHash(data), data, contents);
 }
 
 // ═══════════════════════════════════════════════════════════
 // Bundle export — zip with markdown + extracted files
 // ═══════════════════════════════════════════════════════════
 
-export function formatBundle(data, meta = {}) {
-  // Returns { markdown, files } where files is an array of { path, data, type }
+export function formatBundle(data, meta = {}, options = {}) {
+  // Returns { markdown, files, filePaths, artifacts } where files is an array
+  // of { path, data, type }, filePaths maps each message file object to its
+  // path and artifacts holds the artifactPaths() entries
   // Caller handles zipping (needs JSZip which can't be ES-imported)
 
-  const messages = data?.chat_messages || [];
+  const { files, filePaths, artifacts, manifestFiles } = collectBundleFiles(data, options);
+
+  // Canonical JSON/JSONL alongside the markdown — file bodies live in the zip
+  const canonicalOptions = { ...options, fileData: "reference", filePaths };
+  files.push(
+    { path: "conversation.json", data: formatJson(data, meta, canonicalOptions), type: "text" },
+    { path: "conversation.jsonl", data: formatJsonl(data, meta, canonicalOptions), type: "text" },
+    { path: "conversation.html", data: formatHtml(data, meta, { ...options, fileMode: "bundle", filePaths }), type: "text" }
+  );
+
+  // Counts for the exported branches — see stats.js
+  files.push({ path: "stats.json", data: JSON.stringify(conversationStats(data, options), null, 2), type: "text" });
+
+  // What's in the zip and where each attachment came from
+  const manifest = {
+    format: "float-export-bundle",
+    version: 1,
+    conversationId: data?.uuid || meta.conversationId || null,
+    name: data?.name || meta.name || null,
+    exportedAt: new Date().toISOString(),
+    files: manifestFiles,
+    artifacts: artifacts.flatMap(({ artifact, path, versionPaths }) => [
+      { path, artifactId: artifact.id, title: artifact.title || null, version: null, size: utf8Size(artifact.content) },
+      ...versionPaths.map((v) => ({
+        path: v.path,
+        artifactId: artifact.id,
+        title: artifact.title || null,
+        version: v.version,
+        size: utf8Size(artifact.versions[v.version - 1].content),
+      })),
+    ]),
+  };
+  files.push({ path: "manifest.json", data: JSON.stringify(manifest, null, 2), type: "text" });
+
+  // Generate markdown with bundle-mode file references
+  const markdown = formatConversationWithMode(data, meta, "bundle", options, { artifacts, filePaths });
+
+  return { markdown, files, filePaths, artifacts };
+}
+
+// The bundle's attachments and artifacts, without the renderings around
+// them, so other bundle targets (obsidian.js) re-link the same files
+// without rendering conversation.json/.html. Returns { files, filePaths,
+// artifacts, manifestFiles } as described on formatBundle
+export function collectBundleFiles(data, options = {}) {
   const files = [];
+  const filePaths = new Map(); // file object or tool image → bundle path, for every format in the zip
+  const contents = new Map(); // bundle path → data, to tell duplicates from name clashes
+  const manifestFiles = [];
+
+  // Collect embedded files — only from messages on the exported branches.
+  // Paths carry a content hash: two screenshots both called image.png get
+  // their own entries, the same upload on two messages shares one.
+  for (const segment of selectBranches(data, options)) {
+    for (const msg of segment.messages) {
+      const msgFiles = msg.files_v2 || msg.files || [];
+      for (const file of msgFiles) {
+        const kind = file.file_kind || "unknown";
+        let entry = null;
+
+        if (file._embedded_base64) {
+          entry = {
+            dir: kind === "image" ? "images" : "files",
+            data: file._embedded_base64,
+            type: "base64",
+            mediaType: file._embedded_media_type || (kind === "image" ? "image/png" : "application/octet-stream"),
+            size: base64Size(file._embedded_base64),
+          };
+        } else if (file._embedded_text) {
+          entry = {
+            dir: "files",
+            data: file._embedded_text,
+            type: "text",
+            mediaType: file._embedded_media_type || "text/plain",
+            size: utf8Size(file._embedded_text),
+          };
+        }
+        if (!entry) continue;
 
-  // Collect all embedded files
-  for (const msg of messages) {
-    const msgFiles = msg.files_v2 || msg.files || [];
-    for (const file of msgFiles) {
-      const name = file.file_name || "file";
-      const kind = file.file_kind || "unknown";
-
-      if (file._embedded_base64) {
-        const dir = kind === "image" ? "images" : "files";
-        files.push({
-          path: `${dir}/${name}`,
-          data: file._embedded_base64,
-          type: "base64",
-          mediaType: file._embedded_media_type || (kind === "image" ? "image/png" : "application/octet-stream"),
+        const hash = contentHash(entry.data);
+        const path = bundleFilePath(entry.dir, file.file_name || "file", hash, entry.data, contents);
+        if (!contents.has(path)) {
+          contents.set(path, entry.data);
+          files.push({ path, data: entry.data, type: entry.type, mediaType: entry.mediaType });
+        }
+        filePaths.set(file, path);
+        manifestFiles.push({
+          path,
+          messageUuid: msg.uuid || null,
+          fileUuid: file.file_uuid || file.uuid || null,
+          originalName: file.file_name || null,
+          kind,
+          mediaType: entry.mediaType,
+          size: entry.size,
+          hash,
         });
       }
-      if (file._embedded_text) {
-        files.push({
-          path: `files/${name}`,
-          data: file._embedded_text,
-          type: "text",
-        });
+
+      // Images a tool returned (screenshots) — named after the tool
+      for (const block of Array.isArray(msg.content) ? msg.content : []) {
+        if (block.type !== "tool_result" || !Array.isArray(block.content)) continue;
+        for (const image of block.content) {
+          if (!isEmbeddedImage(image)) continue;
+          const { data, media_type: mediaType = "image/png" } = image.source;
+          const hash = contentHash(data);
+          const path = toolImagePath(image, block.name, contents);
+          if (!contents.has(path)) {
+            contents.set(path, data);
+            files.push({ path, data, type: "base64", mediaType });
+          }
+          filePaths.set(image, path);
+          manifestFiles.push({
+            path,
+            messageUuid: msg.uuid || null,
+            toolUseId: block.tool_use_id || null,
+            kind: "image",
+            mediaType,
+            size: base64Size(data),
+            hash,
+          });
+        }
       }
     }
   }
 
-  // Generate markdown with bundle-mode file references
-  const markdown = formatConversationWithMode(data, meta, "bundle");
+  // Artifacts rebuilt from their tool calls — replayed over the whole selected
+  // path, so a continuation bundle, a hand-picked message selection or one
+  // without tool calls in the transcript still gets their full content
+  const settings = mergeSettings(options.settings);
+  const [selectedPath] = selectBranches(data, {
+    ...options,
+    since: null,
+    messages: null,
+    settings: { ...settings, include: { ...settings.include, tool_use: true } },
+  });
+  const artifacts = artifactPaths(reconstructArtifacts(selectedPath.messages), {
+    withVersions: settings.artifacts.versions,
+  });
+  for (const { artifact, path, versionPaths } of artifacts) {
+    files.push({ path, data: artifact.content, type: "text" });
+    for (const { version, path: versionPath } of versionPaths) {
+      files.push({ path: versionPath, data: artifact.versions[version - 1].content, type: "text" });
+    }
+  }
 
-  return { markdown, files };
+  return { files, filePaths, artifacts, manifestFiles };
 }
 
 // Internal: formatConversation with configurable file mode
-function formatConversationWithMode(data, meta, fileMode) {
+// bundle (bundles only): { artifacts, filePaths } — artifactPaths() entries to
+// list after the header, and where each message file sits in the zip
+function formatConversationWithMode(data, meta, fileMode, options = {}, { artifacts = [], filePaths = null } = {}) {
   const messages = data?.chat_messages || [];
   if (!messages.length) return "# Empty conversation\n";
 
+  const segments = selectBranches(data, options);
+  const settings = mergeSettings(options.settings);
+  const metadataFor = messageMetadata(data, settings);
   const lines = [];
 
-  lines.push(`# ${data.name || meta.name || "Claude Conversation"}`);
-  lines.push("");
-  lines.push(`<!-- float-export v0.1 | ${data.model || "unknown"} | ${messages.length} messages -->`);
-  lines.push(`<!-- conversation: ${data.uuid || meta.conversationId || "unknown"} -->`);
-  lines.push(`<!-- exported: ${new Date().toISOString()} -->`);
-  lines.push("");
+  if (options.since) {
+    // Continuation header — the earlier file already carries the title
+    lines.push(`<!-- float-export v0.1 continuation | ${countMessages(segments)} new messages | after: ${options.since} -->`);
+    lines.push(`<!-- conversation: ${data.uuid || meta.conversationId || "unknown"} -->`);
+    lines.push(`<!-- exported: ${new Date().toISOString()} -->`);
+    lines.push("");
+    lines.push(`## Continued (${new Date().toISOString().slice(0, 16).replace("T", " ")})`);
+    lines.push("");
+    lines.push("---");
+    lines.push("");
+  } else {
+    // Header — title first (HTML comments as first line breaks NotebookLM)
+    lines.push(`# ${data.name || meta.name || "Claude Conversation"}`);
+    lines.push("");
+    lines.push(`<!-- float-export v0.1 | ${data.model || "unknown"} | ${countMessages(segments)} messages -->`);
+    lines.push(`<!-- conversation: ${data.uuid || meta.conversationId || "unknown"} -->`);
+    if (segments.length > 1) lines.push(`<!-- branches: ${segments.length} -->`);
+    lines.push(`<!-- exported: ${new Date().toISOString()} -->`);
+    lines.push("");
+  }
 
-  for (const msg of messages) {
-    const formatted = formatMessageWithMode(msg, fileMode);
-    if (formatted) {
-      lines.push(formatted);
+  if (artifacts.length) {
+    lines.push("## Artifacts");
+    lines.push("");
+    for (const { artifact, path, versionPaths } of artifacts) {
+      const versions = versionPaths.map((v) => `[v${v.version}](${v.path})`).join(" · ");
+      lines.push(`- [${artifact.title || artifact.id}](${path})${versions ? ` — ${versions}` : ""}`);
+    }
+    lines.push("");
+    lines.push("---");
+    lines.push("");
+  }
+
+  for (const segment of segments) {
+    if (segment.label) {
+      lines.push(`## ${segment.label}`);
       lines.push("");
       lines.push("---");
       lines.push("");
     }
+    for (const msg of segment.messages) {
+      const formatted = formatMessage(msg, fileMode, settings, filePaths, metadataFor(msg));
+      if (formatted) {
+        lines.push(formatted);
+        lines.push("");
+        lines.push("---");
+        lines.push("");
+      }
+    }
   }
 
   return lines.join("\n");
 }
 
-function formatMessageWithMode(msg, fileMode) {
-  const sender = msg.sender || "unknown";
-  const lines = [];
-  const label = sender === "human" ? "Human" : "Assistant";
-  lines.push(`## ${label}`);
-  lines.push("");
+// ═══════════════════════════════════════════════════════════
+// Message tree — chat_messages link to their parent via
+// parent_message_uuid; edits and regenerations create siblings.
+// current_leaf_message_uuid marks the branch shown in the UI.
+// ═══════════════════════════════════════════════════════════
 
-  const content = msg.content;
-  if (typeof content === "string") {
-    lines.push(content);
-  } else if (Array.isArray(content)) {
-    for (const block of content) {
-      const formatted = formatBlock(block);
-      if (formatted) {
-        lines.push(formatted);
-        lines.push("");
-      }
-    }
-  } else if (msg.text) {
-    lines.push(msg.text);
+export const BRANCH_MODES = ["active", "all", "leaf"];
+
+// Returns [{ label, messages }] — one unlabelled segment for "active"/"leaf",
+// plus one labelled segment per alternate branch for "all". Alternates only
+// carry the messages after their fork point, so nothing is repeated.
+// With options.since, only the selected path's messages after that UUID are
+// returned and alternates are left out.
+// options.messages: UUIDs to keep (null = all) — a hand-picked selection
+// within the chosen branches; emptied alternates are dropped.
+// Block types switched off in options.settings.include are dropped here, and
+// settings.redaction masks secrets here (see redact.js), so every formatter
+// honours all three.
+export function selectBranches(data, options = {}) {
+  const { include, redaction } = mergeSettings(options.settings);
+  const rules = redaction.enabled ? compileRules(redaction) : [];
+  const filtering = !Object.values(include).every(Boolean);
+  let segments = selectPaths(data, options);
+  if (options.messages) {
+    const keep = new Set(options.messages);
+    segments = segments
+      .map((segment) => ({ ...segment, messages: segment.messages.filter((m) => keep.has(m.uuid)) }))
+      .filter((segment, i) => i === 0 || segment.messages.length);
+  }
+  if (!filtering && !rules.length) return segments;
+
+  return segments.map((segment) => ({
+    ...segment,
+    messages: segment.messages.map((msg) => {
+      const kept = filtering ? filterMessage(msg, include) : msg;
+      return rules.length ? redactMessage(kept, rules) : kept;
+    }),
+  }));
+}
+
+// Shallow copy without excluded blocks — file objects are kept as-is, since
+// bundles key their paths on them
+function filterMessage(msg, include) {
+  const copy = { ...msg };
+  if (Array.isArray(msg.content)) {
+    copy.content = msg.content.filter((block) =>
+      typeof block === "string" || include[block.type] !== false
+    );
+  }
+  if (!include.files) {
+    if (copy.files_v2) copy.files_v2 = [];
+    if (copy.files) copy.files = [];
+    if (copy.attachments) copy.attachments = [];
+  }
+  return copy;
+}
+
+function selectPaths(data, options) {
+  const messages = data?.chat_messages || [];
+  const tree = buildMessageTree(messages);
+
+  // No usable parent links (old captures, non-tree fetch) — keep API order
+  if (!tree) return [{ label: null, messages: messagesAfter(messages, options.since) }];
+
+  const mode = options.branch || "active";
+  const activeLeaf = findActiveLeaf(data, tree);
+
+  if (mode === "leaf" && options.leafId && tree.byId.has(options.leafId)) {
+    return [{ label: null, messages: messagesAfter(pathToLeaf(tree, options.leafId), options.since) }];
   }
 
-  const files = msg.files_v2 || msg.files || [];
-  if (files.length) {
-    lines.push("");
-    for (const file of files) {
-      lines.push(formatFile(file, fileMode));
-    }
+  const activePath = pathToLeaf(tree, activeLeaf);
+  if (mode !== "all" || options.since) {
+    return [{ label: null, messages: messagesAfter(activePath, options.since) }];
   }
 
-  if (msg.attachments?.length) {
-    lines.push("");
-    for (const att of msg.attachments) {
-      lines.push(`- ${att.file_name || att.name || "file"} (${att.file_type || "unknown"})`);
+  const segments = [{ label: null, messages: activePath }];
+  const seen = new Set(activePath.map((m) => m.uuid));
+
+  let n = 0;
+  for (const leaf of tree.leaves) {
+    if (seen.has(leaf.uuid)) continue;
+    const path = pathToLeaf(tree, leaf.uuid);
+    const forkIndex = path.findIndex((m) => !seen.has(m.uuid));
+    const tail = path.slice(forkIndex);
+    tail.forEach((m) => seen.add(m.uuid));
+    n++;
+    segments.push({
+      label: `Alternate branch ${n} (forks after message ${forkIndex})`,
+      messages: tail,
+    });
+  }
+
+  return segments;
+}
+
+// Leaves of the message tree, for "pick a leaf" selectors
+// Returns [{ leafId, active, messageCount, preview, createdAt }]
+export function listBranches(data) {
+  const messages = data?.chat_messages || [];
+  const tree = buildMessageTree(messages);
+  if (!tree) return [];
+
+  const activeLeaf = findActiveLeaf(data, tree);
+  return tree.leaves.map((leaf) => {
+    const path = pathToLeaf(tree, leaf.uuid);
+    const text = extractPlainText(leaf.content) || leaf.text || "";
+    return {
+      leafId: leaf.uuid,
+      active: leaf.uuid === activeLeaf,
+      messageCount: path.length,
+      preview: text.split("\n")[0].slice(0, 60),
+      createdAt: leaf.created_at || null,
+    };
+  });
+}
+
+function buildMessageTree(messages) {
+  if (!messages.length || !messages.every((m) => m.uuid)) return null;
+
+  const byId = new Map(messages.map((m) => [m.uuid, m]));
+  const children = new Map();
+  let linked = 0;
+
+  for (const msg of messages) {
+    const parent = msg.parent_message_uuid;
+    if (parent && byId.has(parent)) {
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(msg);
+      linked++;
     }
   }
 
-  return lines.join("\n");
+  if (!linked && messages.length > 1) return null;
+
+  // API order (index) doubles as creation order for siblings
+  const leaves = messages.filter((m) => !children.has(m.uuid));
+  return { byId, children, leaves };
+}
+
+function findActiveLeaf(data, tree) {
+  const current = data.current_leaf_message_uuid;
+  if (current && tree.byId.has(current)) return current;
+  // Fallback: the most recently created leaf
+  return tree.leaves[tree.leaves.length - 1].uuid;
+}
+
+function pathToLeaf(tree, leafId) {
+  const path = [];
+  const visited = new Set();
+  let msg = tree.byId.get(leafId);
+  while (msg && !visited.has(msg.uuid)) {
+    visited.add(msg.uuid);
+    path.unshift(msg);
+    msg = tree.byId.get(msg.parent_message_uuid);
+  }
+  return path;
+}
+
+// options.since if it is on the path a delta export would take, else null.
+// A cursor left on another branch (or on a message since edited) can't be
+// continued from — buildExport drops it, so the whole path comes out as a
+// fresh export instead of under a continuation header.
+export function deltaCursor(data, options = {}) {
+  if (!options.since) return null;
+  const branch = options.branch === "all" ? "active" : options.branch;
+  const [path] = selectPaths(data, { ...options, branch, since: null });
+  return path.messages.some((m) => m.uuid === options.since) ? options.since : null;
+}
+
+// Messages after `since` on a path. If `since` isn't on it the whole path is
+// returned rather than silently dropping messages (see deltaCursor).
+function messagesAfter(path, since) {
+  if (!since) return path;
+  const at = path.findIndex((m) => m.uuid === since);
+  return at === -1 ? path : path.slice(at + 1);
+}
+
+// UUID of the newest message an export with these options covers —
+// what the background records as the delta cursor
+export function lastMessageUuid(data, options = {}) {
+  const [primary] = selectBranches(data, { ...options, since: null });
+  return primary?.messages[primary.messages.length - 1]?.uuid || null;
+}
+
+function countMessages(segments) {
+  return segments.reduce((n, s) => n + s.messages.length, 0);
+}
+
+// ═══════════════════════════════════════════════════════════
+// Message metadata — settings.metadata adds when, how long after
+// the previous turn, which model and why it stopped to each message,
+// plus its UUID so exports can be cited and matched against logs.
+// ═══════════════════════════════════════════════════════════
+
+// Returns msg → { uuid, time, elapsed, model, stopReason } | null (switched
+// off). Elapsed time is measured from the parent message, so the first
+// message of an alternate branch counts from its fork point.
+export function messageMetadata(data, settings = DEFAULT_SETTINGS) {
+  const { metadata } = mergeSettings(settings);
+  if (!metadata.enabled) return () => null;
+
+  const byUuid = new Map((data?.chat_messages || []).map((m) => [m.uuid, m]));
+  return (msg) => {
+    const created = Date.parse(msg.created_at);
+    const parent = Date.parse(byUuid.get(msg.parent_message_uuid)?.created_at);
+    const assistant = msg.sender !== "human" && msg.sender !== "user";
+    return {
+      uuid: msg.uuid || null,
+      time: Number.isNaN(created) ? null : formatTimestamp(created, metadata.timeZone),
+      elapsed: metadata.elapsed && created >= parent ? formatElapsed(created - parent) : null,
+      model: assistant ? msg.model || data?.model || null : null,
+      stopReason: assistant ? msg.stop_reason || null : null,
+    };
+  };
+}
+
+// Details as display strings, without the UUID — each format places that
+// itself (anchor, block ID, property)
+export function metadataParts(metadata) {
+  return [
+    metadata.time,
+    metadata.elapsed && `+${metadata.elapsed}`,
+    metadata.model,
+    metadata.stopReason && `stop: ${metadata.stopReason}`,
+  ].filter(Boolean);
+}
+
+// "2026-10-01 12:00:30 UTC+2" in timeZone (IANA name; "" = this browser's).
+// An unknown zone falls back to UTC rather than failing the export.
+export function formatTimestamp(time, timeZone = "") {
+  let format;
+  try {
+    format = new Intl.DateTimeFormat("en-US", {
+      timeZone: timeZone || undefined,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+      timeZoneName: "shortOffset",
+    });
+  } catch {
+    return new Date(time).toISOString().slice(0, 19).replace("T", " ") + " UTC";
+  }
+  const p = Object.fromEntries(format.formatToParts(new Date(time)).map((part) => [part.type, part.value]));
+  return `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}:${p.second} ${p.timeZoneName.replace("GMT", "UTC")}`;
+}
+
+// 45s, 4m 05s, 2h 03m, 3d 4h
+export function formatElapsed(ms) {
+  const s = Math.round(ms / 1000);
+  const pad = (n) => String(n).padStart(2, "0");
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${pad(s % 60)}s`;
+  if (s < 86400) return `${Math.floor(s / 3600)}h ${pad(Math.floor(s / 60) % 60)}m`;
+  return `${Math.floor(s / 86400)}d ${Math.floor(s / 3600) % 24}h`;
 }
 
 // ═══════════════════════════════════════════════════════════
 // Utilities
 // ═══════════════════════════════════════════════════════════
 
+// dir/<name>-<hash>.<ext>, safe on every filesystem. A path already taken
+// by different content (a hash collision) gets a numeric suffix.
+function bundleFilePath(dir, fileName, hash, data, contents) {
+  const dot = fileName.lastIndexOf(".");
+  const base = safeFileName(dot > 0 ? fileName.slice(0, dot) : fileName);
+  const ext = dot > 0 ? fileName.slice(dot + 1).replace(/[^A-Za-z0-9]+/g, "").toLowerCase().slice(0, 10) : "";
+  const suffix = ext ? `.${ext}` : "";
+
+  let path = `${dir}/${base}-${hash}${suffix}`;
+  for (let n = 2; contents.has(path) && contents.get(path) !== data; n++) {
+    path = `${dir}/${base}-${hash}-${n}${suffix}`;
+  }
+  return path;
+}
+
+function safeFileName(name) {
+  const cleaned = name
+    .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, "-")
+    .replace(/\s+/g, "-")
+    .replace(/^[.-]+|\.+$/g, "")
+    .slice(0, 80);
+  // Windows device names are reserved even with an extension
+  if (/^(con|prn|aux|nul|com\d|lpt\d)$/i.test(cleaned)) return `${cleaned}-file`;
+  return cleaned || "file";
+}
+
+// FNV-1a over the stored string (base64 or text) — 8 hex chars. Synchronous,
+// which crypto.subtle isn't; bundleFilePath() handles the rare collision.
+function contentHash(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+export function base64Size(base64) {
+  const padding = base64.endsWith("==") ? 2 : base64.endsWith("=") ? 1 : 0;
+  return Math.floor((base64.length * 3) / 4) - padding;
+}
+
+export function utf8Size(text) {
+  return new TextEncoder().encode(text).length;
+}
+
 // Convert JSON-parsed object to readable YAML-like format
 // Uses block scalars for multiline strings (much more readable than escaped \n)
 function jsonToYaml(obj, indent = 0) {
@@ -0,0 +1,522 @@
+// html.js — single-file interactive HTML export
+// Everything is inlined (CSS, JS, images as data URIs) so the file works
+// offline and makes no network requests. Code is highlighted at export
+// time; the embedded script only handles expand/collapse and the TOC.
+
+import {
+  selectBranches,
+  extractToolResultText,
+  unwrapToolOutput,
+  messageMetadata,
+  metadataParts,
+  isEmbeddedImage,
+  imageUrl,
+} from "./formatter.js";
+import { toolUseView, toolResultView } from "./renderers.js";
+import { mergeSettings } from "./settings.js";
+
+// options: same branch/leaf/since selection as formatConversation, plus
+//   fileMode: "inline" (default, data URIs) or "bundle" (relative paths
+//             from options.filePaths, for the copy inside a bundle zip)
+// Blocks are collapsible here, so options.settings contributes the included
+// block types, rich fields and languages but not the truncation limits
+export function formatHtml(data, meta = {}, options = {}) {
+  const title = data?.name || meta.name || "Claude Conversation";
+  const segments = selectBranches(data, options);
+  const ctx = {
+    fileMode: options.fileMode || "inline",
+    filePaths: options.filePaths || new Map(),
+    settings: mergeSettings(options.settings),
+  };
+  ctx.metadataFor = messageMetadata(data, ctx.settings);
+
+  const toc = [];
+  const body = [];
+  let n = 0;
+
+  for (const segment of segments) {
+    if (segment.label) {
+      toc.push(`<li class="toc-branch">${escapeHtml(segment.label)}</li>`);
+      body.push(`<h2 class="branch">${escapeHtml(segment.label)}</h2>`);
+    }
+    for (const msg of segment.messages) {
+      n++;
+      const id = `msg-${n}`;
+      const sender = msg.sender === "human" || msg.sender === "user" ? "human" : "assistant";
+      const preview = messagePreview(msg) || (sender === "human" ? "Human" : "Assistant");
+      toc.push(
+        `<li class="toc-${sender}"><a href="#${id}">${n}. ${escapeHtml(preview)}</a></li>`
+      );
+      body.push(htmlMessage(msg, id, n, sender, ctx));
+    }
+  }
+
+  const subtitle = [
+    data?.model || "unknown model",
+    `${n} messages`,
+    segments.length > 1 ? `${segments.length} branches` : null,
+    `exported ${new Date().toISOString().slice(0, 16).replace("T", " ")}`,
+  ].filter(Boolean).join(" · ");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="float-export v0.1">
+<meta name="conversation-id" content="${escapeHtml(data?.uuid || meta.conversationId || "")}">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<nav class="toc">
+  <div class="toc-title">${escapeHtml(title)}</div>
+  <div class="toc-actions">
+    <button type="button" data-toggle="open">Expand all</button>
+    <button type="button" data-toggle="close">Collapse all</button>
+  </div>
+  <ol>${toc.join("")}</ol>
+</nav>
+<main>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="subtitle">${escapeHtml(subtitle)}</p>
+  ${body.join("\n")}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function htmlMessage(msg, id, n, sender, ctx) {
+  const parts = [];
+  const content = msg.content;
+
+  if (typeof content === "string") {
+    parts.push(renderMarkdown(content));
+  } else if (Array.isArray(content)) {
+    for (const block of content) {
+      const html = htmlBlock(block, ctx);
+      if (html) parts.push(html);
+    }
+  } else if (msg.text) {
+    parts.push(renderMarkdown(msg.text));
+  }
+
+  const files = msg.files_v2 || msg.files || [];
+  if (files.length) {
+    parts.push(`<div class="files">${files.map((f) => htmlFile(f, ctx)).join("")}</div>`);
+  }
+
+  if (msg.attachments?.length) {
+    const items = msg.attachments.map((att) =>
+      `<li>${escapeHtml(att.file_name || att.name || "file")} (${escapeHtml(att.file_type || att.content_type || "unknown")})</li>`
+    );
+    parts.push(`<div class="files"><strong>Attachments:</strong><ul>${items.join("")}</ul></div>`);
+  }
+
+  return `<article class="msg ${sender}" id="${id}">
+<header><span class="sender">${sender === "human" ? "Human" : "Assistant"}</span>${htmlMetadata(ctx.metadataFor(msg))}<a class="anchor" href="#${id}">#${n}</a></header>
+${parts.join("\n")}
+</article>`;
+}
+
+// Details between sender and #n; the UUID becomes a second, stable anchor
+function htmlMetadata(metadata) {
+  if (!metadata) return "";
+  const uuid = metadata.uuid
+    ? ` <a class="uuid" id="msg-${escapeHtml(metadata.uuid)}" href="#msg-${escapeHtml(metadata.uuid)}">${escapeHtml(metadata.uuid)}</a>`
+    : "";
+  return `<span class="details">${escapeHtml(metadataParts(metadata).join(" · "))}${uuid}</span>`;
+}
+
+function htmlBlock(block, ctx) {
+  if (typeof block === "string") return renderMarkdown(block);
+
+  switch (block.type) {
+    case "text":
+      return renderMarkdown(block.text || "");
+    case "tool_use":
+      return htmlToolUse(block, ctx);
+    case "tool_result":
+      return htmlToolResult(block, ctx);
+    case "thinking":
+      return htmlThinking(block);
+    case "token_budget":
+      return null;
+    default:
+      return `<details class="unknown"><summary>Unknown block: ${escapeHtml(block.type)}</summary>${codeBlock(JSON.stringify(block, null, 2), "json")}</details>`;
+  }
+}
+
+// Tool calls and results go through the renderer registry (renderers.js)
+function htmlToolUse(block, ctx) {
+  const view = toolUseView(block, ctx.settings);
+  const sections = view.sections.map((section) => htmlSection(section, ctx, view.input)).join("");
+
+  return `<details class="tool-use"><summary>Tool: <code>${escapeHtml(view.name)}</code> <span class="summary">${escapeHtml(view.summary)}</span></summary>${sections}</details>`;
+}
+
+function htmlToolResult(block, ctx) {
+  const view = toolResultView(block);
+  const name = view.name ? ` (${escapeHtml(view.name)})` : "";
+  const label = view.isError ? `Result${name} — error` : `Result${name}`;
+  const sections = view.sections.map((section) => htmlSection(section, ctx)).join("");
+
+  return `<details class="tool-result${view.isError ? " error" : ""}"><summary>${label}</summary>${sections}</details>`;
+}
+
+// input: the tool call's input, to guess a rich field's language
+function htmlSection(section, ctx, input = {}) {
+  switch (section.type) {
+    case "fields":
+      return codeBlock(JSON.stringify(section.values, null, 2), "json");
+
+    case "field":
+      return `<div class="field"><div class="field-name">${escapeHtml(section.name)}</div>${codeBlock(section.text, guessLanguage(input))}</div>`;
+
+    case "diff":
+      return codeBlock(section.text, "diff");
+
+    case "shell":
+      if (section.command != null) return codeBlock(`$ ${section.command}`, "console");
+      return (section.output ? codeBlock(section.output, "console") : section.stderr ? "" : `<p class="exit">(no output)</p>`) +
+        (section.stderr ? `<div class="field"><div class="field-name">stderr</div>${codeBlock(section.stderr, "console")}</div>` : "") +
+        (section.exitCode ? `<p class="exit error">exit ${escapeHtml(section.exitCode)}</p>` : "");
+
+    case "links":
+      return `<ul class="links">${section.links.map((link) => {
+        // Only web links — a result could carry javascript: or data: URLs
+        const title = /^https?:\/\//i.test(link.url)
+          ? `<a href="${escapeHtml(link.url)}">${escapeHtml(link.title)}</a>`
+          : escapeHtml(link.title);
+        return `<li>${title}${link.snippet ? ` <span class="snippet">${escapeHtml(link.snippet)}</span>` : ""}</li>`;
+      }).join("")}</ul>`;
+
+    case "image": {
+      // Embedded images inline (or the bundle's copy); remote ones stay a
+      // link, since the file makes no network requests
+      const path = ctx.fileMode === "bundle" ? ctx.filePaths.get(section.image) : null;
+      const src = path || (isEmbeddedImage(section.image) ? imageUrl(section.image) : null);
+      if (src) return `<figure><img src="${escapeHtml(src)}" alt="${escapeHtml(section.alt)}"></figure>`;
+      const url = imageUrl(section.image);
+      return url && /^https?:\/\//i.test(url) ? `<p><a href="${escapeHtml(url)}">${escapeHtml(section.alt)} image</a></p>` : "";
+    }
+
+    case "body": {
+      const body = unwrapToolOutput(extractToolResultText(section.content));
+      const trimmed = body.trim();
+      if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+        try {
+          return codeBlock(JSON.stringify(JSON.parse(trimmed), null, 2), "json");
+        } catch {}
+      }
+      return codeBlock(body, "");
+    }
+
+    default:
+      return "";
+  }
+}
+
+function htmlThinking(block) {
+  const text = block.thinking || "";
+  if (!text) return null;
+
+  const summary = block.summaries?.length
+    ? `<p class="thinking-summary"><strong>Summary:</strong> ${escapeHtml(block.summaries.map((s) => s.summary || s).join(" "))}</p>`
+    : "";
+
+  return `<details class="thinking"><summary>Thinking${block.cut_off ? " (truncated)" : ""}</summary>${renderMarkdown(text)}${summary}</details>`;
+}
+
+function htmlFile(file, ctx) {
+  const name = file.file_name || "file";
+  const kind = file.file_kind || "unknown";
+  const path = ctx.fileMode === "bundle" ? ctx.filePaths.get(file) : null;
+
+  if (file._embedded_base64 && kind === "image") {
+    const src = path || `data:${file._embedded_media_type || "image/png"};base64,${file._embedded_base64}`;
+    return `<figure><img src="${escapeHtml(src)}" alt="${escapeHtml(name)}"><figcaption>${escapeHtml(name)}</figcaption></figure>`;
+  }
+
+  if (file._embedded_text) {
+    const ext = name.split(".").pop() || "";
+    const lang = ctx.settings.languages[ext] || ext;
+    return `<details class="file"><summary>${escapeHtml(name)}</summary>${codeBlock(file._embedded_text, lang)}</details>`;
+  }
+
+  if (file._embedded_base64) {
+    const size = Math.round(file._embedded_base64.length * 0.75 / 1024);
+    const href = path || `data:${file._embedded_media_type || "application/octet-stream"};base64,${file._embedded_base64}`;
+    return `<p class="file"><a href="${escapeHtml(href)}" download="${escapeHtml(name)}">${escapeHtml(name)}</a> (${escapeHtml(kind)}, ${size}KB)</p>`;
+  }
+
+  return `<p class="file">${escapeHtml(name)} (${escapeHtml(kind)})</p>`;
+}
+
+function messagePreview(msg) {
+  const content = msg.content;
+  let text = "";
+  if (typeof content === "string") text = content;
+  else if (Array.isArray(content)) text = content.find((b) => b.type === "text" && b.text?.trim())?.text || "";
+  else text = msg.text || "";
+  return text.trim().split("\n")[0].slice(0, 60);
+}
+
+function guessLanguage(input) {
+  if (input.language) return input.language;
+  const path = input.path || input.file_path || "";
+  return path.includes(".") ? path.split(".").pop() : "";
+}
+
+// ═══════════════════════════════════════════════════════════
+// Markdown → HTML (the subset Claude actually writes)
+// ═══════════════════════════════════════════════════════════
+
+export function renderMarkdown(text) {
+  const lines = text.split("\n");
+  const out = [];
+  let paragraph = [];
+  let list = null; // { tag, items }
+
+  const flushParagraph = () => {
+    if (paragraph.length) out.push(`<p>${renderInline(paragraph.join("\n")).replace(/\n/g, "<br>")}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) out.push(`<${list.tag}>${list.items.map((i) => `<li>${renderInline(i)}</li>`).join("")}</${list.tag}>`);
+    list = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(/^\s*(```+|~~~+)\s*([\w+#.-]*)/);
+    if (fence) {
+      flushParagraph();
+      flushList();
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      out.push(codeBlock(code.join("\n"), fence[2]));
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flushParagraph();
+      flushList();
+      // Shift down so message content never outranks the page title
+      const level = Math.min(heading[1].length + 2, 6);
+      out.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      continue;
+    }
+
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const ordered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    if (bullet || ordered) {
+      flushParagraph();
+      const tag = bullet ? "ul" : "ol";
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push((bullet || ordered)[1]);
+      continue;
+    }
+
+    const quote = line.match(/^>\s?(.*)$/);
+    if (quote) {
+      flushParagraph();
+      flushList();
+      out.push(`<blockquote>${renderInline(quote[1])}</blockquote>`);
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      flushList();
+      out.push("<hr>");
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+
+    flushList();
+    paragraph.push(line);
+  }
+
+  flushParagraph();
+  flushList();
+  return out.join("\n");
+}
+
+function renderInline(text) {
+  // Code spans first, so nothing inside them is treated as markup
+  return text
+    .split(/(`[^`]+`)/)
+    .map((part) => {
+      if (part.startsWith("`") && part.endsWith("`") && part.length > 1) {
+        return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+      }
+      return escapeHtml(part)
+        .replace(/!\[([^\]]*)\]\((data:image\/[^)\s]+)\)/g, '<img src="$2" alt="$1">')
+        .replace(/\[([^\]]+)\]\(((?:https?:|mailto:|#)[^)\s]*)\)/g, '<a href="$2">$1</a>')
+        .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+        .replace(/(^|[^*\w])\*([^*\s][^*]*)\*/g, "$1<em>$2</em>")
+        .replace(/(^|\W)_([^_\s][^_]*)_(?=\W|$)/g, "$1<em>$2</em>");
+    })
+    .join("");
+}
+
+// ═══════════════════════════════════════════════════════════
+// Syntax highlighting — one tokenizer for the common C-like,
+// Python, shell and JSON cases; good enough for transcripts
+// ═══════════════════════════════════════════════════════════
+
+const KEYWORDS = new Set([
+  "async", "await", "break", "case", "catch", "class", "const", "continue", "def", "default",
+  "del", "do", "elif", "else", "enum", "export", "extends", "false", "finally", "fn", "for",
+  "from", "func", "function", "if", "impl", "import", "in", "interface", "is", "lambda", "let",
+  "match", "mut", "new", "None", "not", "null", "or", "and", "pass", "pub", "raise", "return",
+  "self", "static", "struct", "switch", "this", "throw", "true", "True", "False", "try", "type",
+  "typeof", "undefined", "use", "var", "void", "while", "with", "yield", "then", "fi", "done",
+  "echo", "local", "package",
+]);
+
+const TOKEN_PATTERN = new RegExp(
+  [
+    /(\/\/[^\n]*|\/\*[\s\S]*?\*\/)/.source, // 1: C-style comment
+    /((?:^|(?<=\s))#[^\n]*)/.source, // 2: hash comment
+    /("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\.)*`)/.source, // 3: string
+    /(\b\d+(?:\.\d+)?\b)/.source, // 4: number
+    /([A-Za-z_$][\w$]*)/.source, // 5: word
+  ].join("|"),
+  "gm"
+);
+
+export function highlightCode(code, lang = "") {
+  if (lang === "diff") return highlightDiff(code);
+
+  const hashComments = !["js", "javascript", "ts", "typescript", "json", "css", "c", "cpp", "java", "go", "rust", "rs"].includes(lang);
+  let html = "";
+  let last = 0;
+
+  for (const m of code.matchAll(TOKEN_PATTERN)) {
+    html += escapeHtml(code.slice(last, m.index));
+    const [token, cComment, hashComment, string, number, word] = m;
+    if (cComment && lang !== "python" && lang !== "py") html += span("c", token);
+    else if (hashComment && hashComments) html += span("c", token);
+    else if (string) html += span(lang === "json" && /^\s*:/.test(code.slice(m.index + token.length)) ? "k" : "s", token);
+    else if (number) html += span("n", token);
+    else if (word && KEYWORDS.has(word)) html += span("k", token);
+    else html += escapeHtml(token);
+    last = m.index + token.length;
+  }
+
+  return html + escapeHtml(code.slice(last));
+}
+
+// Whole lines: added, removed, hunk and file headers
+function highlightDiff(code) {
+  return code
+    .split("\n")
+    .map((line) => {
+      if (/^(\+\+\+|---) /.test(line) || line.startsWith("@@")) return span("h", line);
+      if (line.startsWith("+")) return span("add", line);
+      if (line.startsWith("-")) return span("del", line);
+      return escapeHtml(line);
+    })
+    .join("\n");
+}
+
+function span(cls, text) {
+  return `<span class="tok-${cls}">${escapeHtml(text)}</span>`;
+}
+
+function codeBlock(code, lang) {
+  const label = lang ? `<span class="lang">${escapeHtml(lang)}</span>` : "";
+  return `<pre>${label}<code>${highlightCode(code, (lang || "").toLowerCase())}</code></pre>`;
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const STYLES = `
+* { box-sizing: border-box; }
+body { margin: 0; display: flex; font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; color: #1a1a1a; background: #fafafa; }
+.toc { position: sticky; top: 0; align-self: flex-start; width: 260px; height: 100vh; overflow-y: auto; padding: 16px; border-right: 1px solid #e5e7eb; background: white; font-size: 12px; }
+.toc-title { font-weight: 600; margin-bottom: 8px; }
+.toc-actions { display: flex; gap: 4px; margin-bottom: 8px; }
+.toc-actions button { flex: 1; padding: 4px; border: 1px solid #d1d5db; border-radius: 4px; background: white; font-size: 11px; cursor: pointer; }
+.toc ol { list-style: none; margin: 0; padding: 0; }
+.toc li a { display: block; padding: 3px 6px; border-radius: 4px; color: #374151; text-decoration: none; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+.toc li a:hover, .toc li a.active { background: #eff6ff; color: #1e40af; }
+.toc li.toc-human a { font-weight: 500; }
+.toc li.toc-assistant a { padding-left: 14px; color: #6b7280; }
+.toc li.toc-branch { margin: 8px 0 2px; font-weight: 600; color: #b45309; }
+main { flex: 1; min-width: 0; max-width: 860px; padding: 24px 32px; }
+h1 { font-size: 22px; margin: 0 0 4px; }
+.subtitle { color: #6b7280; font-size: 12px; margin: 0 0 24px; }
+h2.branch { font-size: 15px; color: #b45309; border-top: 2px dashed #fbbf24; padding-top: 16px; }
+.msg { background: white; border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px 16px; margin-bottom: 16px; scroll-margin-top: 16px; }
+.msg.human { border-left: 4px solid #1a1a1a; }
+.msg.assistant { border-left: 4px solid #4f46e5; }
+.msg header { display: flex; justify-content: space-between; font-size: 12px; font-weight: 600; color: #6b7280; margin-bottom: 4px; }
+.msg header .anchor { color: #d1d5db; text-decoration: none; }
+.msg header .details { flex: 1; margin: 0 12px; font-weight: 400; color: #9ca3af; }
+.msg header .uuid { color: inherit; font-family: ui-monospace, monospace; text-decoration: none; }
+details { border: 1px solid #e5e7eb; border-radius: 6px; margin: 8px 0; background: #f9fafb; }
+details > summary { cursor: pointer; padding: 6px 10px; font-size: 13px; color: #374151; }
+details > *:not(summary) { margin: 0 10px 10px; }
+details.thinking { background: #faf5ff; border-color: #e9d5ff; }
+details.tool-use { background: #eff6ff; border-color: #bfdbfe; }
+details.tool-result { background: #f0fdf4; border-color: #bbf7d0; }
+details.tool-result.error { background: #fef2f2; border-color: #fecaca; }
+.summary { color: #6b7280; font-size: 12px; }
+.field-name { font-size: 12px; font-weight: 600; color: #6b7280; }
+.exit { font-size: 12px; color: #6b7280; } .exit.error { color: #b91c1c; }
+ul.links { padding-left: 20px; font-size: 13px; } ul.links .snippet { color: #6b7280; }
+pre { position: relative; background: #1f2937; color: #e5e7eb; padding: 10px 12px; border-radius: 6px; overflow-x: auto; font-size: 12.5px; line-height: 1.5; }
+pre .lang { position: absolute; top: 2px; right: 8px; font-size: 10px; color: #9ca3af; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; }
+p code, li code { background: #f3f4f6; padding: 1px 4px; border-radius: 3px; font-size: 0.9em; }
+.tok-k { color: #c4b5fd; } .tok-s { color: #86efac; } .tok-n { color: #fcd34d; } .tok-c { color: #9ca3af; font-style: italic; }
+.tok-add { color: #86efac; } .tok-del { color: #fca5a5; } .tok-h { color: #93c5fd; }
+img { max-width: 100%; border-radius: 6px; }
+figure { margin: 8px 0; } figcaption { font-size: 11px; color: #6b7280; }
+blockquote { margin: 4px 0; padding-left: 10px; border-left: 3px solid #d1d5db; color: #4b5563; }
+@media (max-width: 800px) { .toc { display: none; } main { padding: 16px; } }
+`;
+
+const SCRIPT = `
+document.querySelectorAll("[data-toggle]").forEach(function (btn) {
+  btn.addEventListener("click", function () {
+    var open = btn.dataset.toggle === "open";
+    document.querySelectorAll("main details").forEach(function (d) { d.open = open; });
+  });
+});
+var links = {};
+document.querySelectorAll(".toc a").forEach(function (a) { links[a.getAttribute("href").slice(1)] = a; });
+if ("IntersectionObserver" in window) {
+  var observer = new IntersectionObserver(function (entries) {
+    entries.forEach(function (e) {
+      if (!e.isIntersecting || !links[e.target.id]) return;
+      Object.values(links).forEach(function (a) { a.classList.remove("active"); });
+      links[e.target.id].classList.add("active");
+    });
+  }, { rootMargin: "0px 0px -70% 0px" });
+  document.querySelectorAll(".msg").forEach(function (m) { observer.observe(m); });
+}
+`;
@@ -0,0 +1,162 @@
+// importer.js — turn an exported bundle zip or canonical JSON back into a capture
+// The reverse of canonical.js: messages, blocks and files go back into the
+// chat_conversations API shape the formatters read, so an import can be
+// re-exported in any format. Only what the export held comes back — the
+// branches it selected, with redaction and truncation already applied.
+
+import { CANONICAL_SCHEMA, CANONICAL_VERSION } from "./canonical.js";
+
+// Parsed canonical JSON → capture { conversationId, name, url, capturedAt, data }
+// readFile(path, "base64" | "text") resolves the bundle-relative paths of
+// files exported by reference (the conversation.json inside a bundle)
+export async function fromCanonical(canonical, readFile = null) {
+  if (canonical?.schema !== CANONICAL_SCHEMA) {
+    throw new Error("Not a float-export conversation (unknown schema)");
+  }
+  if (canonical.version > CANONICAL_VERSION) {
+    throw new Error(`Conversation format v${canonical.version} is newer than this version supports`);
+  }
+  const conversation = canonical.conversation || {};
+  if (!conversation.id) throw new Error("Conversation has no ID");
+
+  const messages = [];
+  for (const [i, msg] of (canonical.messages || []).entries()) {
+    const files = [];
+    const attachments = [];
+    for (const record of msg.files || []) {
+      if (record.kind === "attachment") {
+        attachments.push(apiAttachment(record));
+      } else {
+        files.push(await apiFile(record, readFile));
+      }
+    }
+
+    messages.push({
+      uuid: msg.id,
+      parent_message_uuid: msg.parentId,
+      index: msg.index ?? i,
+      sender: msg.sender,
+      created_at: msg.createdAt,
+      updated_at: msg.updatedAt,
+      stop_reason: msg.stopReason,
+      content: (msg.blocks || []).map(apiBlock),
+      files_v2: files,
+      ...(attachments.length ? { attachments } : {}),
+    });
+  }
+
+  return {
+    conversationId: conversation.id,
+    name: conversation.name || "",
+    url: `https://claude.ai/chat/${conversation.id}`,
+    capturedAt: new Date().toISOString(),
+    data: {
+      uuid: conversation.id,
+      name: conversation.name || "",
+      model: conversation.model,
+      created_at: conversation.createdAt,
+      updated_at: conversation.updatedAt,
+      current_leaf_message_uuid: conversation.currentLeafId,
+      chat_messages: messages,
+      // Where this capture came from — not part of the API object
+      _imported: {
+        exportedAt: canonical.exportedAt || null,
+        selection: canonical.selection || null,
+      },
+    },
+  };
+}
+
+// JSZip instance → captures, one per conversation.json inside (a bulk or
+// project zip holds one folder per conversation)
+export async function readBundleZip(zip) {
+  const entries = Object.keys(zip.files).filter(
+    (path) => path === "conversation.json" || path.endsWith("/conversation.json")
+  );
+  if (!entries.length) throw new Error("No conversation.json in this zip — was it made by Download Bundle?");
+
+  const captures = [];
+  for (const entry of entries) {
+    const dir = entry.slice(0, -"conversation.json".length);
+    const canonical = JSON.parse(await zip.file(entry).async("string"));
+    captures.push(
+      await fromCanonical(canonical, async (path, type) => {
+        const file = zip.file(dir + path);
+        return file ? file.async(type === "base64" ? "base64" : "string") : null;
+      })
+    );
+  }
+  return captures;
+}
+
+function apiBlock(block) {
+  switch (block.type) {
+    case "text":
+      return { type: "text", text: block.text || "" };
+
+    case "thinking":
+      return {
+        type: "thinking",
+        thinking: block.text || "",
+        summaries: (block.summaries || []).map((summary) => ({ summary })),
+        cut_off: !!block.truncated,
+      };
+
+    case "tool_use":
+      return { type: "tool_use", id: block.id, name: block.name, input: block.input || {} };
+
+    case "tool_result": {
+      const content = (block.content || []).map(apiResultContent);
+      return {
+        type: "tool_result",
+        tool_use_id: block.toolUseId,
+        name: block.name,
+        is_error: !!block.isError,
+        content: content.length || !block.text ? content : [{ type: "text", text: block.text }],
+      };
+    }
+
+    case "unknown":
+      return block.raw || { type: block.originalType || "unknown" };
+
+    default:
+      return block;
+  }
+}
+
+function apiResultContent(c) {
+  if (c.type === "text") return { type: "text", text: c.text || "" };
+  if (c.type === "image") {
+    return { type: "image", source: { type: c.sourceType || "base64", media_type: c.mediaType, data: c.data } };
+  }
+  return c.value;
+}
+
+async function apiFile(record, readFile) {
+  const file = {
+    file_uuid: record.id,
+    file_name: record.name,
+    file_kind: record.kind,
+  };
+  if (record.mediaType) file._embedded_media_type = record.mediaType;
+
+  const fromBundle = (type) => (record.path && readFile ? readFile(record.path, type) : null);
+  if (record.embedded === "base64") {
+    const data = record.data ?? (await fromBundle("base64"));
+    if (data) file._embedded_base64 = data;
+  } else if (record.embedded === "text") {
+    const text = record.text ?? (await fromBundle("text"));
+    if (text != null) file._embedded_text = text;
+  }
+  return file;
+}
+
+function apiAttachment(record) {
+  return {
+    id: record.id,
+    file_name: record.name,
+    file_type: record.mediaType,
+    file_size: record.size,
+    ...(record.text != null ? { extracted_content: record.text } : {}),
+  };
+}
@@ -0,0 +1,241 @@
+// obsidian.js — Obsidian vault export
+// Built on collectBundleFiles: the same files and artifacts as a bundle,
+// but the note carries YAML frontmatter (queryable with Dataview),
+// attachments live under a configurable folder and are embedded with
+// ![[...]], and thinking / tool blocks become foldable callouts.
+
+import {
+  collectBundleFiles,
+  selectBranches,
+  extractToolResultText,
+  unwrapToolOutput,
+  markdownSection,
+  messageMetadata,
+  metadataParts,
+  truncate,
+  fenceFor,
+} from "./formatter.js";
+import { toolUseView, toolResultView } from "./renderers.js";
+import { mergeSettings } from "./settings.js";
+
+// Returns { markdown, files } — file paths are relative to the vault root,
+// the caller names the note (settings.filenames.obsidian)
+export function formatObsidian(data, meta = {}, options = {}) {
+  const settings = mergeSettings(options.settings);
+  const { folder, tags } = settings.obsidian;
+  const bundle = collectBundleFiles(data, options);
+  const segments = selectBranches(data, options);
+  const conversationId = data?.uuid || meta.conversationId || "unknown";
+
+  // Wikilinks resolve by file name across the whole vault, so names are
+  // prefixed with the conversation to keep two chats' image.png apart
+  const names = new Map(); // bundle path → attachment name
+  const used = new Set();
+  const files = [];
+  for (const file of bundle.files) {
+    const name = uniqueName(`${conversationId.slice(0, 8)}-${file.path.split("/").pop()}`, used);
+    names.set(file.path, name);
+    files.push({ ...file, path: folder ? `${folder}/${name}` : name });
+  }
+
+  const ctx = { settings, filePaths: bundle.filePaths, names, metadataFor: messageMetadata(data, settings) };
+  const title = data?.name || meta.name || "Claude Conversation";
+  const lines = [];
+
+  lines.push(frontmatter({
+    title,
+    model: data?.model || "unknown",
+    conversation_id: conversationId,
+    url: `https://claude.ai/chat/${conversationId}`,
+    created: data?.created_at || null,
+    updated: data?.updated_at || null,
+    exported: new Date().toISOString(),
+    messages: segments.reduce((n, s) => n + s.messages.length, 0),
+    branches: segments.length > 1 ? segments.length : null,
+    continues: options.since || null,
+    tags,
+  }));
+  lines.push("");
+  lines.push(`# ${title}`);
+  lines.push("");
+
+  if (bundle.artifacts.length) {
+    lines.push("## Artifacts");
+    lines.push("");
+    for (const { artifact, path, versionPaths } of bundle.artifacts) {
+      const versions = versionPaths.map((v) => `[[${names.get(v.path)}|v${v.version}]]`).join(" · ");
+      lines.push(`- [[${names.get(path)}|${artifact.title || artifact.id}]]${versions ? ` — ${versions}` : ""}`);
+    }
+    lines.push("");
+  }
+
+  for (const segment of segments) {
+    if (segment.label) {
+      lines.push(`## ${segment.label}`);
+      lines.push("");
+    }
+    for (const msg of segment.messages) {
+      lines.push(obsidianMessage(msg, ctx));
+      lines.push("");
+    }
+  }
+
+  return { markdown: lines.join("\n"), files };
+}
+
+function obsidianMessage(msg, ctx) {
+  const sender = msg.sender || "unknown";
+  const lines = [`## ${sender === "human" ? "Human" : "Assistant"}`];
+  const metadata = ctx.metadataFor(msg);
+  if (metadata) {
+    // A block ID, so other notes can embed or link the message: [[note#^msg-…]]
+    const details = metadataParts(metadata).join(" · ");
+    lines.push(`${details ? `*${details}*` : ""}${metadata.uuid ? ` ^msg-${metadata.uuid}` : ""}`.trim());
+  }
+  lines.push("");
+  const content = msg.content;
+
+  if (typeof content === "string") {
+    lines.push(content, "");
+  } else if (Array.isArray(content)) {
+    for (const block of content) {
+      const rendered = obsidianBlock(block, ctx);
+      if (rendered) lines.push(rendered, "");
+    }
+  } else if (msg.text) {
+    lines.push(msg.text, "");
+  }
+
+  for (const file of msg.files_v2 || msg.files || []) {
+    const path = ctx.filePaths.get(file);
+    const name = file.file_name || "file";
+    lines.push(path ? `![[${ctx.names.get(path)}]]` : `**${name}** (${file.file_kind || "unknown"})`);
+    lines.push("");
+  }
+
+  for (const att of msg.attachments || []) {
+    lines.push(`- ${att.file_name || att.name || "file"} (${att.file_type || att.content_type || "unknown"})`);
+  }
+
+  return lines.join("\n").trimEnd();
+}
+
+function obsidianBlock(block, ctx) {
+  if (typeof block === "string") return block;
+  const { settings } = ctx;
+  const { limits } = settings;
+
+  switch (block.type) {
+    case "text":
+      return block.text || "";
+
+    case "thinking": {
+      const text = block.thinking || "";
+      if (!text.trim()) return null;
+      const summary = block.summaries?.length
+        ? `\n\n**Summary:** ${block.summaries.map((s) => s.summary || s).join(" ")}`
+        : "";
+      return callout("abstract", `Thinking${block.cut_off ? " (truncated)" : ""}`, truncate(text, limits.thinking) + summary);
+    }
+
+    case "tool_use": {
+      const view = toolUseView(block, settings);
+      const parts = view.sections.map((section) => obsidianSection(section, ctx)).filter(Boolean);
+      return callout("example", `Tool: \`${view.name}\` ${view.summary}`.trim(), parts.join("\n\n"));
+    }
+
+    case "tool_result": {
+      const view = toolResultView(block);
+      const name = view.name ? ` (${view.name})` : "";
+      const rendered = view.sections.map((section) => obsidianSection(section, ctx, view.isError)).filter(Boolean).join("\n\n");
+      return view.isError
+        ? callout("failure", `Result${name} — error`, rendered)
+        : callout("success", `Result${name}`, rendered);
+    }
+
+    case "token_budget":
+      return null; // Internal, skip
+
+    default:
+      return callout("note", `Unknown block: ${block.type}`, fence(JSON.stringify(block, null, 2), "json"));
+  }
+}
+
+// Renderer sections (renderers.js); diffs, shell sessions and link lists
+// are drawn as in the plain markdown export
+function obsidianSection(section, ctx, isError = false) {
+  const { settings } = ctx;
+  const { limits } = settings;
+
+  switch (section.type) {
+    case "image": {
+      // Embedded images are vault attachments like message files
+      const path = ctx.filePaths.get(section.image);
+      return path ? `![[${ctx.names.get(path)}]]` : markdownSection(section, settings, isError);
+    }
+
+    case "fields":
+      return fence(truncate(JSON.stringify(section.values, null, 2), limits.toolUseMeta), "json");
+
+    case "field":
+      return `**${section.name}:**\n\n${truncate(section.text, limits.toolUseContent)}`;
+
+    case "body": {
+      const body = truncate(unwrapToolOutput(extractToolResultText(section.content)), limits.toolResult);
+      const trimmed = body.trim();
+      if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+        try {
+          return fence(JSON.stringify(JSON.parse(trimmed), null, 2), "json");
+        } catch {
+          return fence(body, "");
+        }
+      }
+      return body;
+    }
+
+    default:
+      return markdownSection(section, settings, isError);
+  }
+}
+
+// Folded callout: > [!type]- title, body lines quoted
+function callout(type, title, body) {
+  const quoted = body
+    ? body.split("\n").map((l) => (l ? `> ${l}` : ">")).join("\n")
+    : null;
+  return [`> [!${type}]- ${title.replace(/\n/g, " ")}`, quoted].filter(Boolean).join("\n");
+}
+
+function fence(code, lang) {
+  const ticks = fenceFor(code);
+  return `${ticks}${lang}\n${code}\n${ticks}`;
+}
+
+// Strings are written JSON-quoted (valid YAML); ISO timestamps stay bare so
+// Dataview reads them as dates
+function frontmatter(fields) {
+  const lines = ["---"];
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === null || value === undefined) continue;
+    if (Array.isArray(value)) {
+      if (!value.length) continue;
+      lines.push(`${key}:`);
+      for (const item of value) lines.push(`  - ${JSON.stringify(String(item))}`);
+    } else if (typeof value === "number" || /^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})?$/.test(value)) {
+      lines.push(`${key}: ${value}`);
+    } else {
+      lines.push(`${key}: ${JSON.stringify(String(value))}`);
+    }
+  }
+  lines.push("---");
+  return lines.join("\n");
+}
+
+function uniqueName(name, used) {
+  let candidate = name;
+  const dot = name.lastIndexOf(".");
+  const [base, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ""];
+  for (let n = 2; used.has(candidate); n++) candidate = `${base}-${n}${ext}`;
+  used.add(candidate);
+  return candidate;
+}
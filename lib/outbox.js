@@ -0,0 +1,197 @@
+// outbox.js — push exports to local destinations (HTTP endpoint or native
+// messaging host), configured as settings.destinations
+// Deliveries queue in chrome.storage.local and retry with backoff from a
+// chrome.alarms alarm, so a pipeline that was down catches up once it's back.
+// The queue only holds references — payloads are rendered from the archive at
+// send time, in the destination's format.
+
+import { getCapture } from "./archive.js";
+import { formatConversation, formatForOutliner } from "./formatter.js";
+import { formatJson, formatJsonl } from "./canonical.js";
+import { formatHtml } from "./html.js";
+import { loadSettings } from "./settings.js";
+
+const OUTBOX_KEY = "outbox";
+export const OUTBOX_ALARM = "float-export-outbox";
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 30000; // doubles per attempt: 30s, 1m, 2m ... 16m
+
+// settings.destinations[].format → renderer (keys match DESTINATION_FORMATS)
+const RENDERERS = {
+  json: { render: formatJson, contentType: "application/json" },
+  jsonl: { render: formatJsonl, contentType: "application/x-ndjson" },
+  markdown: { render: formatConversation, contentType: "text/markdown" },
+  outliner: { render: formatForOutliner, contentType: "text/markdown" },
+  html: { render: formatHtml, contentType: "text/html" },
+};
+
+// Every read-modify-write of the queue runs through here, one at a time
+let queue = Promise.resolve();
+function serialized(fn) {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+// Queue a capture for its destinations and try to send right away.
+// auto: only destinations with auto-push on (used after each capture);
+// otherwise every enabled destination (the popup's "Send" button).
+// Returns [{ destination, ok, error, willRetry }] for this capture
+export async function pushCapture(conversationId, { auto = false } = {}) {
+  const settings = await loadSettings();
+  const targets = settings.destinations.filter((d) => d.enabled && (!auto || d.auto));
+  if (!targets.length) return [];
+
+  await serialized(async () => {
+    const outbox = await readOutbox();
+    for (const destination of targets) {
+      // A newer capture supersedes a queued one — both would send the same archive copy
+      const existing = outbox.find(
+        (e) => e.destinationId === destination.id && e.conversationId === conversationId
+      );
+      if (existing) {
+        Object.assign(existing, { attempts: 0, nextAttemptAt: 0, failed: false, lastError: null });
+      } else {
+        outbox.push({
+          destinationId: destination.id,
+          conversationId,
+          attempts: 0,
+          nextAttemptAt: 0,
+          failed: false,
+          lastError: null,
+          queuedAt: new Date().toISOString(),
+        });
+      }
+    }
+    await writeOutbox(outbox);
+  });
+
+  const results = await processOutbox();
+  return results.filter((r) => r.conversationId === conversationId);
+}
+
+// Send everything that is due. Called after queueing and from the alarm.
+export function processOutbox() {
+  return serialized(async () => {
+    const settings = await loadSettings();
+    const destinations = new Map(settings.destinations.map((d) => [d.id, d]));
+    const outbox = await readOutbox();
+    const now = Date.now();
+    const results = [];
+    const remaining = [];
+
+    for (const entry of outbox) {
+      const destination = destinations.get(entry.destinationId);
+      if (!destination) continue; // Destination was removed — drop its queue
+
+      if (entry.failed || entry.nextAttemptAt > now) {
+        remaining.push(entry);
+        continue;
+      }
+
+      try {
+        await deliver(destination, entry.conversationId, settings);
+        results.push({ conversationId: entry.conversationId, destination: destination.name, ok: true });
+        console.log(`[float-export] pushed ${entry.conversationId} to ${destination.name}`);
+      } catch (err) {
+        entry.attempts++;
+        entry.lastError = err.message;
+        entry.failed = err.permanent || entry.attempts >= MAX_ATTEMPTS;
+        entry.nextAttemptAt = now + BASE_DELAY_MS * 2 ** (entry.attempts - 1);
+        remaining.push(entry);
+        results.push({
+          conversationId: entry.conversationId,
+          destination: destination.name,
+          ok: false,
+          error: err.message,
+          willRetry: !entry.failed,
+        });
+        console.warn(`[float-export] push to ${destination.name} failed (attempt ${entry.attempts}):`, err.message);
+      }
+    }
+
+    await writeOutbox(remaining);
+    await scheduleRetry(remaining);
+    return results;
+  });
+}
+
+// Queue entries with destination names, for the options page
+export async function getOutbox() {
+  const [outbox, settings] = await Promise.all([readOutbox(), loadSettings()]);
+  const names = new Map(settings.destinations.map((d) => [d.id, d.name]));
+  return outbox.map((e) => ({ ...e, destination: names.get(e.destinationId) || e.destinationId }));
+}
+
+// Give entries that ran out of attempts another round
+export async function retryOutbox() {
+  await serialized(async () => {
+    const outbox = await readOutbox();
+    for (const entry of outbox) {
+      Object.assign(entry, { attempts: 0, nextAttemptAt: 0, failed: false });
+    }
+    await writeOutbox(outbox);
+  });
+  return processOutbox();
+}
+
+async function deliver(destination, conversationId, settings) {
+  const capture = await getCapture(conversationId);
+  if (!capture) throw permanentError("Capture is no longer in the archive");
+
+  const { render, contentType } = RENDERERS[destination.format] || RENDERERS.json;
+  const content = render(capture.data, { conversationId, name: capture.name }, { settings });
+
+  if (destination.kind === "native") {
+    // The host replies { ok: false, error } to reject; any other reply is success
+    const reply = await chrome.runtime.sendNativeMessage(destination.host, {
+      type: "float-export",
+      conversationId,
+      name: capture.name || "",
+      format: destination.format,
+      contentType,
+      content,
+    });
+    if (reply?.ok === false) throw new Error(reply.error || `${destination.host} rejected the export`);
+    return;
+  }
+
+  const resp = await fetch(destination.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": `${contentType}; charset=utf-8`,
+      "X-Float-Export-Conversation": conversationId,
+      "X-Float-Export-Format": destination.format,
+    },
+    body: content,
+  });
+  if (!resp.ok) {
+    // Client errors won't fix themselves on retry (except rate limiting)
+    const err = new Error(`${destination.url} returned ${resp.status}`);
+    err.permanent = resp.status >= 400 && resp.status < 500 && resp.status !== 429;
+    throw err;
+  }
+}
+
+function permanentError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+async function scheduleRetry(outbox) {
+  const due = outbox.filter((e) => !e.failed).map((e) => e.nextAttemptAt);
+  if (!due.length) {
+    await chrome.alarms.clear(OUTBOX_ALARM);
+    return;
+  }
+  await chrome.alarms.create(OUTBOX_ALARM, { when: Math.min(...due) });
+}
+
+async function readOutbox() {
+  return (await chrome.storage.local.get(OUTBOX_KEY))[OUTBOX_KEY] || [];
+}
+
+async function writeOutbox(outbox) {
+  await chrome.storage.local.set({ [OUTBOX_KEY]: outbox });
+}
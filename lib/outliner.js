@@ -0,0 +1,398 @@
+// outliner.js — conversation as a typed block tree, serialized per outliner
+// buildOutline() turns the selected messages into nodes:
+//   { text, children, code?, gap? }
+// text may span lines — code marks tool inputs/results that must stay verbatim,
+// gap asks for a blank line before the node where the dialect has them.
+// Serializers then write the tree in each app's paste format.
+
+import {
+  selectBranches,
+  extractToolResultText,
+  unwrapToolOutput,
+  extractPlainText,
+  messageMetadata,
+  isEmbeddedImage,
+  toolImagePath,
+  truncate,
+  fenceFor,
+} from "./formatter.js";
+import { toolUseView, toolResultView } from "./renderers.js";
+import { mergeSettings } from "./settings.js";
+
+export const OUTLINER_DIALECTS = {
+  float: { label: "Float (prefix::)", extension: "md", mediaType: "text/markdown", serialize: serializeFloat },
+  logseq: { label: "Logseq", extension: "md", mediaType: "text/markdown", serialize: serializeLogseq },
+  roam: { label: "Roam", extension: "md", mediaType: "text/markdown", serialize: serializeRoam },
+  tana: { label: "Tana Paste", extension: "txt", mediaType: "text/plain", serialize: serializeTana },
+  workflowy: { label: "Workflowy (OPML)", extension: "opml", mediaType: "text/x-opml", serialize: serializeOpml },
+};
+
+// options: same branch/leaf/since selection as formatConversation, plus
+//   dialect: a key of OUTLINER_DIALECTS (default: settings.outliner.dialect)
+export function formatForOutliner(data, meta = {}, options = {}) {
+  const { outliner } = mergeSettings(options.settings);
+  const key = OUTLINER_DIALECTS[options.dialect || outliner.dialect] ? options.dialect || outliner.dialect : "float";
+  const dialect = OUTLINER_DIALECTS[key];
+  const messages = data?.chat_messages || [];
+  if (!messages.length) return dialect.serialize([node("export:: empty conversation")], "");
+
+  const title = data.name || meta.name || "Claude Conversation";
+  return dialect.serialize(buildOutline(data, meta, { ...options, dialect: key }), title);
+}
+
+export function buildOutline(data, meta = {}, options = {}) {
+  const segments = selectBranches(data, options);
+  const settings = mergeSettings(options.settings);
+  const metadataFor = messageMetadata(data, settings);
+  // Logseq reads id:: as the block's own UUID, so two exports of one
+  // conversation on a page (or one and its continuation) would collide. Only
+  // the home-grown Float format keeps id::; the other apps match Logseq
+  const idKey = (options.dialect || settings.outliner.dialect) === "float" ? "id" : "conversation";
+  const roots = [];
+
+  // Header block
+  const title = data.name || meta.name || "Claude Conversation";
+  const header = options.since
+    // Continuation — a sibling of the original export:: block
+    ? node(`continued:: ${title}`, [node(`after:: ${options.since}`)])
+    : node(`export:: ${title}`, [node(`model:: ${data.model || "unknown"}`)]);
+  header.children.push(
+    node(`messages:: ${segments.reduce((n, s) => n + s.messages.length, 0)}`),
+    node(`exported:: ${new Date().toISOString()}`),
+    node(`${idKey}:: ${data.uuid || meta.conversationId || "unknown"}`)
+  );
+  if (segments.length > 1) header.children.push(node(`branches:: ${segments.length}`));
+  roots.push(header);
+
+  for (const segment of segments) {
+    const messageNodes = segment.messages.map((msg) => {
+      const message = outlinerMessage(msg, settings);
+      const metadata = metadataFor(msg);
+      if (metadata) message.children.unshift(...metadataNodes(metadata));
+      return { ...message, gap: true };
+    });
+    if (segment.label) {
+      // Alternate branches nest under a branch:: block so they collapse together
+      roots.push({ ...node(`branch:: ${segment.label}`, messageNodes), gap: true });
+    } else {
+      roots.push(...messageNodes);
+    }
+  }
+
+  return roots;
+}
+
+function node(text, children = [], extra = {}) {
+  return { text, children, ...extra };
+}
+
+// Properties first, where Logseq and Tana expect them. uuid:: rather than
+// id::, which Logseq reserves for its own block references
+function metadataNodes(metadata) {
+  return [
+    metadata.time && node(`time:: ${metadata.time}`),
+    metadata.elapsed && node(`elapsed:: ${metadata.elapsed}`),
+    metadata.model && node(`model:: ${metadata.model}`),
+    metadata.stopReason && node(`stop:: ${metadata.stopReason}`),
+    metadata.uuid && node(`uuid:: ${metadata.uuid}`),
+  ].filter(Boolean);
+}
+
+function outlinerMessage(msg, settings) {
+  const sender = msg.sender || "unknown";
+  const content = msg.content;
+
+  if (sender === "human" || sender === "user") {
+    // Human messages — inline short ones, nest long ones
+    const text = extractPlainText(content) || msg.text || "";
+    const firstLine = text.split("\n")[0].slice(0, 120);
+    const rest = text.split("\n").slice(1).join("\n").trim();
+    const message = node(`user:: ${firstLine}`);
+    if (rest) message.children.push(node(rest));
+
+    // Files as nested blocks
+    for (const file of msg.files_v2 || msg.files || []) {
+      const name = file.file_name || "file";
+      const kind = file.file_kind || "unknown";
+      const hasEmbed = file._embedded_base64 || file._embedded_text;
+      message.children.push(node(`file:: ${name} (${kind}${hasEmbed ? ", embedded" : ""})`));
+    }
+
+    // Legacy attachments
+    for (const att of msg.attachments || []) {
+      message.children.push(node(`attachment:: ${att.file_name || att.name || "file"} (${att.file_type || "unknown"})`));
+    }
+    return message;
+  }
+
+  // Assistant messages — walk content blocks
+  const response = node("response::");
+
+  if (typeof content === "string") {
+    response.children.push(node(content));
+  } else if (Array.isArray(content)) {
+    let lastTool = null;
+    for (const block of content) {
+      const blockNode = outlinerBlock(block, settings);
+      if (!blockNode) continue;
+      if (block.type === "tool_result" && lastTool) {
+        // Results nest under the call they answer
+        lastTool.children.push(blockNode);
+      } else {
+        response.children.push(blockNode);
+      }
+      if (block.type === "tool_use") lastTool = blockNode;
+    }
+  } else if (msg.text) {
+    response.children.push(node(msg.text));
+  }
+
+  return response;
+}
+
+function outlinerBlock(block, settings) {
+  if (typeof block === "string") return node(block);
+
+  switch (block.type) {
+    case "text":
+      return block.text?.trim() ? node(block.text) : null;
+    case "tool_use":
+      return outlinerToolUse(block, settings);
+    case "tool_result":
+      return outlinerToolResult(block, settings);
+    case "thinking":
+      return outlinerThinking(block, settings);
+    case "token_budget":
+      return null;
+    default:
+      return node(`unknown:: ${block.type}`);
+  }
+}
+
+// Tool calls and results go through the renderer registry (renderers.js);
+// sections become child blocks
+function outlinerToolUse(block, settings) {
+  const view = toolUseView(block, settings);
+  // Compact summary in the tool call header, input nested
+  const tool = node(`tool:: ${view.name} ${view.summary}`);
+  for (const section of view.sections) tool.children.push(...outlinerSection(section, settings));
+  return tool;
+}
+
+function outlinerToolResult(block, settings) {
+  const view = toolResultView(block);
+  const name = view.name;
+  const label = view.isError ? `result:: ERROR${name ? " " + name : ""}` : `result::${name ? " " + name : ""}`;
+
+  const result = node(label);
+  for (const section of view.sections) {
+    if (section.type === "body") {
+      // First line inline, the rest verbatim underneath
+      const body = truncate(unwrapToolOutput(extractToolResultText(section.content)), settings.limits.toolResult);
+      const [firstLine, ...rest] = body.split("\n");
+      result.text += ` ${firstLine.slice(0, 120)}`;
+      if (rest.length) result.children.push(node(rest.join("\n"), [], { code: true }));
+    } else if (section.type === "image") {
+      result.children.push(outlinerImage(section.image, name));
+    } else if (section.type === "shell" && section.exitCode) {
+      result.text += ` (exit ${section.exitCode})`;
+      result.children.push(...outlinerSection(section, settings));
+    } else {
+      result.children.push(...outlinerSection(section, settings));
+    }
+  }
+  return result;
+}
+
+// Tool result image as a file block, under the path a bundle stores it at
+function outlinerImage(image, toolName) {
+  if (isEmbeddedImage(image)) return node(`file:: ${toolImagePath(image, toolName)} (image, embedded)`);
+  return node(`file:: ${image.source?.url || "image"} (image)`);
+}
+
+// One section → child blocks
+function outlinerSection(section, settings) {
+  const { limits } = settings;
+
+  switch (section.type) {
+    case "fields":
+      return Object.entries(section.values).map(([key, val]) => {
+        if (typeof val === "string" && val.includes("\n")) {
+          // Multiline content — its own verbatim child block
+          return node(`${key}::`, [node(val, [], { code: true })]);
+        }
+        if (typeof val === "string" && val.length > 120) return node(`${key}:: ${val.slice(0, 120)}...`);
+        if (typeof val === "object" && val !== null) return node(`${key}:: ${JSON.stringify(val)}`);
+        return node(`${key}:: ${val}`);
+      });
+
+    case "field":
+      return [node(`${section.name}::`, [node(truncate(section.text, limits.toolUseContent), [], { code: true })])];
+
+    case "diff":
+      return [node(`diff::${section.path ? " " + section.path : ""}`, [node(truncate(section.text, limits.toolUseContent), [], { code: true })])];
+
+    case "shell":
+      if (section.command != null) return [node(`$ ${truncate(section.command, limits.toolUseContent)}`, [], { code: true })];
+      return [
+        section.output && node(truncate(section.output, limits.toolResult), [], { code: true }),
+        section.stderr && node("stderr::", [node(truncate(section.stderr, limits.toolResult), [], { code: true })]),
+      ].filter(Boolean);
+
+    case "links":
+      return section.links.map((link) =>
+        node(`[${link.title.replace(/[[\]]/g, "")}](${link.url})`, link.snippet ? [node(link.snippet)] : [])
+      );
+
+    default:
+      return [];
+  }
+}
+
+function outlinerThinking(block, settings) {
+  const text = truncate(block.thinking || "", settings.limits.thinking);
+  if (!text.trim()) return null;
+
+  const preview = text.split("\n")[0].slice(0, 80);
+  const thinking = node(`thinking:: ${preview}${text.includes("\n") ? "..." : ""}`);
+
+  // Full content nested underneath (collapsible in outliner)
+  thinking.children.push(node(text));
+  if (block.summaries?.length) {
+    thinking.children.push(node(`summary:: ${block.summaries.map((s) => s.summary || s).join(" ")}`));
+  }
+  return thinking;
+}
+
+// ═══════════════════════════════════════════════════════════
+// Serializers — (roots, title) → text
+// ═══════════════════════════════════════════════════════════
+
+// Home-grown prefix:: format: two-space indentation, every line of a
+// multiline block at the block's own depth
+function serializeFloat(roots) {
+  const lines = [];
+  const walk = (n, depth) => {
+    if (n.gap) lines.push("");
+    const indent = "  ".repeat(depth);
+    for (const line of n.text.split("\n")) lines.push(indent + line);
+    n.children.forEach((c) => walk(c, depth + 1));
+  };
+  roots.forEach((n) => walk(n, 0));
+  return lines.join("\n");
+}
+
+// Markdown bullets. Logseq keeps multiline blocks (continuation lines
+// indented to the content column); verbatim blocks are fenced.
+function serializeLogseq(roots) {
+  return bulletLines(roots, { multiline: true }).join("\n");
+}
+
+// Roam splits pasted lines into blocks, so prose lines become sibling
+// blocks; fenced code stays in one block
+function serializeRoam(roots) {
+  return bulletLines(roots, { multiline: false }).join("\n");
+}
+
+// Tana Paste: same bullets behind the %%tana%% marker; key:: value lines
+// become fields
+function serializeTana(roots) {
+  return ["%%tana%%", ...bulletLines(roots, { multiline: false })].join("\n");
+}
+
+function bulletLines(roots, { multiline }) {
+  const lines = [];
+  const walk = (n, depth) => {
+    const indent = "  ".repeat(depth);
+    const cont = indent + "  ";
+
+    const codeBlock = (code, lang = "") => {
+      const ticks = fenceFor(code);
+      lines.push(`${indent}- ${ticks}${lang}`);
+      for (const line of code.split("\n")) lines.push(line ? cont + line : cont.trimEnd());
+      lines.push(cont + ticks);
+    };
+
+    if (n.code) {
+      codeBlock(n.text);
+    } else if (multiline) {
+      const [first, ...rest] = n.text.split("\n");
+      lines.push(`${indent}- ${first}`);
+      for (const line of rest) lines.push(line ? cont + line : "");
+    } else {
+      // Extra lines of a prose block become its siblings, ahead of its
+      // children — except fenced code in it, which stays one block
+      const parts = proseParts(n.text).filter((part) => part.code != null || part.text.trim());
+      if (!parts.length) parts.push({ text: "" });
+      for (const part of parts) {
+        if (part.code != null) codeBlock(part.code, part.lang);
+        else lines.push(`${indent}- ${part.text}`);
+      }
+    }
+    n.children.forEach((c) => walk(c, depth + 1));
+  };
+  roots.forEach((n) => walk(n, 0));
+  return lines;
+}
+
+// Prose → [{ text }] per line and [{ code, lang }] per fenced block. An
+// unclosed fence runs to the end, as markdown renders it
+function proseParts(text) {
+  const parts = [];
+  let fence = null; // { marker, lang, lines }
+  for (const line of text.split("\n")) {
+    if (fence) {
+      const close = line.trim();
+      if (/^(`{3,}|~{3,})$/.test(close) && close[0] === fence.marker[0] && close.length >= fence.marker.length) {
+        parts.push({ code: fence.lines.join("\n"), lang: fence.lang });
+        fence = null;
+      } else {
+        fence.lines.push(line);
+      }
+      continue;
+    }
+    const open = line.match(/^\s*(`{3,}|~{3,})\s*([^`\s]*)/);
+    if (open) fence = { marker: open[1], lang: open[2], lines: [] };
+    else parts.push({ text: line });
+  }
+  if (fence) parts.push({ code: fence.lines.join("\n"), lang: fence.lang });
+  return parts;
+}
+
+// OPML 2.0 for Workflowy: first line is the item, the rest goes in its note
+function serializeOpml(roots, title) {
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<opml version="2.0">`,
+    `  <head>`,
+    `    <title>${xmlEscape(title)}</title>`,
+    `  </head>`,
+    `  <body>`,
+  ];
+  const walk = (n, depth) => {
+    const indent = "  ".repeat(depth + 2);
+    const [first, ...rest] = n.text.split("\n");
+    const note = rest.length ? ` _note="${xmlEscape(rest.join("\n"))}"` : "";
+    const attrs = `text="${xmlEscape(first)}"${note}`;
+    if (!n.children.length) {
+      lines.push(`${indent}<outline ${attrs}/>`);
+      return;
+    }
+    lines.push(`${indent}<outline ${attrs}>`);
+    n.children.forEach((c) => walk(c, depth + 1));
+    lines.push(`${indent}</outline>`);
+  };
+  roots.forEach((n) => walk(n, 0));
+  lines.push(`  </body>`, `</opml>`);
+  return lines.join("\n");
+}
+
+function xmlEscape(str) {
+  return str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/\n/g, "&#10;")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
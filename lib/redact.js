@@ -0,0 +1,237 @@
+// redact.js — mask secrets and PII before anything leaves the extension
+// Applied in selectBranches(), so every formatter (markdown, outliner, HTML,
+// canonical JSON, bundles, Obsidian, pushes) sees redacted messages. Reaches
+// text, thinking, tool inputs, tool results (including the JSON that
+// unwrapToolOutput later unpacks into stdout/stderr) and embedded text files.
+// Matches become [REDACTED:<detector>].
+
+import { selectBranches } from "./formatter.js";
+import { mergeSettings } from "./settings.js";
+
+// Built-in detectors, in the order they run — private keys first so their
+// body isn't picked apart by the narrower patterns
+export const DETECTORS = {
+  privateKey: {
+    label: "Private keys",
+    patterns: [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g],
+  },
+  jwt: {
+    label: "JWTs",
+    patterns: [/\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g],
+  },
+  apiKey: {
+    label: "API keys and .env secrets",
+    patterns: [
+      // Vendor key formats: Anthropic/OpenAI, GitHub, AWS, Slack, Google, Stripe
+      /\b(?:sk-ant-[A-Za-z0-9_-]{20,}|sk-(?:proj-)?[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|AKIA[0-9A-Z]{16}|xox[abposr]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35}|[sr]k_live_[0-9A-Za-z]{24,})/g,
+      // NAME_SECRET=value style assignments, value only. Upper-case names
+      // only: max_tokens: 4096 in code is not a secret
+      /(?<=\b[A-Z0-9_]*(?:SECRET|TOKEN|PASSWORD|PASSWD|API_?KEY|ACCESS_KEY|PRIVATE_KEY)[A-Z0-9_]*["']?\s*[=:]\s*["']?)[^\s"',;]{8,}/g,
+    ],
+  },
+  email: {
+    label: "Email addresses",
+    // Not SSH remotes (git@github.com:org/repo) or retina assets (icon@2x.png)
+    patterns: [/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b(?<!\.(?:png|jpe?g|gif|svg|webp))(?!:)/g],
+  },
+  ip: {
+    label: "IPv4 addresses (public)",
+    // Loopback, private and link-local ranges are left alone — 127.0.0.1:8080
+    // and 192.168.x.x in a transcript identify nobody
+    patterns: [
+      /\b(?!(?:0|10|127)\.|192\.168\.|169\.254\.|172\.(?:1[6-9]|2\d|3[01])\.)(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g,
+    ],
+  },
+};
+
+// settings.redaction → [{ id, pattern }]; custom patterns that don't compile
+// are skipped (the options page rejects them on save)
+export function compileRules(redaction) {
+  const rules = [];
+  for (const [id, detector] of Object.entries(DETECTORS)) {
+    if (!redaction.detectors[id]) continue;
+    for (const pattern of detector.patterns) rules.push({ id, pattern });
+  }
+  for (const source of redaction.custom) {
+    try {
+      rules.push({ id: "custom", pattern: new RegExp(source, "g") });
+    } catch {}
+  }
+  return rules;
+}
+
+// findings, when given, collects { detector, match, where } per masked span
+export function redactText(text, rules, findings = null, where = "") {
+  if (typeof text !== "string" || !text) return text;
+  let out = text;
+  for (const { id, pattern } of rules) {
+    out = out.replace(pattern, (match) => {
+      if (!match) return match; // Zero-length custom matches
+      findings?.push({ detector: id, match, where });
+      return `[REDACTED:${id}]`;
+    });
+  }
+  return out;
+}
+
+// Copy of the message with every string it carries redacted. File objects
+// are only copied when their text changes, and the copy is reused across
+// calls, so bundles that key paths on file objects still find them.
+export function redactMessage(msg, rules, findings = null) {
+  const r = (text, where) => redactText(text, rules, findings, where);
+  const copy = { ...msg };
+
+  if (typeof msg.content === "string") {
+    copy.content = r(msg.content, "text");
+  } else if (Array.isArray(msg.content)) {
+    copy.content = msg.content.map((block) => redactBlock(block, r));
+  }
+  if (msg.text) copy.text = r(msg.text, "text");
+
+  for (const key of ["files_v2", "files"]) {
+    if (msg[key]) copy[key] = msg[key].map((file) => redactFile(file, rules, findings));
+  }
+  if (msg.attachments) {
+    copy.attachments = msg.attachments.map((att) =>
+      att.extracted_content
+        ? { ...att, extracted_content: r(att.extracted_content, `attachment ${att.file_name || ""}`.trim()) }
+        : att
+    );
+  }
+  return copy;
+}
+
+function redactBlock(block, r) {
+  if (typeof block === "string") return r(block, "text");
+
+  switch (block.type) {
+    case "text":
+      return { ...block, text: r(block.text, "text") };
+
+    case "thinking":
+      return {
+        ...block,
+        thinking: r(block.thinking, "thinking"),
+        summaries: block.summaries?.map((s) =>
+          typeof s === "string" ? r(s, "thinking") : { ...s, summary: r(s.summary, "thinking") }
+        ),
+      };
+
+    case "tool_use":
+      return { ...block, input: redactValue(block.input, (text) => r(text, `tool input (${block.name || "tool"})`)) };
+
+    case "tool_result": {
+      const where = `tool result (${block.name || "tool"})`;
+      const rt = (text) => r(text, where);
+      if (typeof block.content === "string") return { ...block, content: redactToolText(block.content, rt) };
+      if (!Array.isArray(block.content)) return { ...block, content: redactValue(block.content, rt) };
+      return {
+        ...block,
+        content: block.content.map((c) => {
+          if (typeof c === "string") return redactToolText(c, rt);
+          if (c.type === "text") return { ...c, text: redactToolText(c.text, rt) };
+          if (c.type === "image") return c;
+          return redactValue(c, (text) => r(text, where));
+        }),
+      };
+    }
+
+    default:
+      return block;
+  }
+}
+
+// Tool output is often JSON text ({ returncode, stdout, stderr }). The rules
+// run on its decoded strings: in the raw text a line break is the two
+// characters \n and a quote is \", which patterns would read past — and a
+// masked escape would leave JSON that unwrapToolOutput can't parse
+function redactToolText(text, r) {
+  const trimmed = typeof text === "string" ? text.trim() : "";
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      const redacted = redactValue(parsed, r);
+      const json = JSON.stringify(redacted);
+      return json === JSON.stringify(parsed) ? text : json;
+    } catch {}
+  }
+  return r(text);
+}
+
+function redactValue(value, r) {
+  if (typeof value === "string") return r(value);
+  if (Array.isArray(value)) return value.map((v) => redactValue(v, r));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(v, r)]));
+  }
+  return value;
+}
+
+// original file → { key, copy } for the rules it was last redacted with
+const fileCopies = new WeakMap();
+
+function redactFile(file, rules, findings) {
+  if (!file._embedded_text) return file;
+  const where = `file ${file.file_name || ""}`.trim();
+
+  if (findings) {
+    const text = redactText(file._embedded_text, rules, findings, where);
+    return text === file._embedded_text ? file : { ...file, _embedded_text: text };
+  }
+
+  const key = rules.map((rule) => rule.pattern.source).join("\n");
+  const cached = fileCopies.get(file);
+  if (cached?.key === key) return cached.copy;
+
+  const text = redactText(file._embedded_text, rules);
+  const copy = text === file._embedded_text ? file : { ...file, _embedded_text: text };
+  fileCopies.set(file, { key, copy });
+  return copy;
+}
+
+// What an export with these options would mask — for the popup preview.
+// Returns [{ detector, label, preview, count, where: [...] }], one per
+// distinct value
+export function findRedactions(data, options = {}) {
+  const settings = mergeSettings(options.settings);
+  if (!settings.redaction.enabled) return [];
+
+  const rules = compileRules(settings.redaction);
+  const unredacted = selectBranches(data, {
+    ...options,
+    settings: { ...settings, redaction: { ...settings.redaction, enabled: false } },
+  });
+
+  const findings = [];
+  for (const segment of unredacted) {
+    for (const msg of segment.messages) redactMessage(msg, rules, findings);
+  }
+
+  const grouped = new Map();
+  for (const { detector, match, where } of findings) {
+    const key = `${detector}\u0000${match}`;
+    if (!grouped.has(key)) {
+      grouped.set(key, {
+        detector,
+        label: DETECTORS[detector]?.label || "Custom pattern",
+        preview: maskPreview(match),
+        count: 0,
+        where: new Set(),
+      });
+    }
+    const entry = grouped.get(key);
+    entry.count++;
+    entry.where.add(where);
+  }
+
+  return [...grouped.values()].map((g) => ({ ...g, where: [...g.where] }));
+}
+
+// Enough of the value to recognise it, not enough to leak it
+function maskPreview(match) {
+  const pem = match.match(/^-----BEGIN [A-Z ]*PRIVATE KEY-----/);
+  if (pem) return `${pem[0]} …`;
+  const flat = match.replace(/\s+/g, " ");
+  if (flat.length <= 8) return "•".repeat(flat.length);
+  return `${flat.slice(0, 4)}…${flat.slice(-2)}`;
+}
@@ -0,0 +1,232 @@
+// renderers.js — tool-specific views of tool calls and their results
+// A renderer turns a tool_use input or a tool_result into typed sections;
+// markdown (formatter.js), the outliner and HTML each draw the section types
+// their own way, so a tool's renderer is written once for all three.
+//
+// Sections:
+//   { type: "fields", values }               metadata (paths, flags) as compact JSON
+//   { type: "field", name, text }            a rich input field (settings.richFields)
+//   { type: "body", content }                tool output, left to each format's heuristics
+//   { type: "diff", path, text }             unified diff
+//   { type: "shell", command } / { type: "shell", output, stderr, exitCode }
+//   { type: "links", links: [{ title, url, snippet }] }
+//   { type: "image", image, alt }             an image block from a tool result
+//
+// A renderer is { summary(input), input(input, settings), result(block) };
+// any of them may be missing or return null to fall back to the generic one.
+
+import { extractToolResultText } from "./formatter.js";
+
+const renderers = new Map(); // tool name → renderer
+
+// names: one tool name or several that share a renderer
+export function registerRenderer(names, renderer) {
+  for (const name of [].concat(names)) renderers.set(name, renderer);
+}
+
+// Compact summary for tool call headers
+export function toolCallSummary(name, input = {}) {
+  return renderers.get(name)?.summary?.(input) ?? GENERIC.summary(input);
+}
+
+// tool_use block → { name, input, summary, sections }
+export function toolUseView(block, settings) {
+  const name = block.name || "unknown_tool";
+  const input = block.input || {};
+  return {
+    name,
+    input,
+    summary: toolCallSummary(name, input),
+    sections: renderers.get(name)?.input?.(input, settings) || GENERIC.input(input, settings),
+  };
+}
+
+// tool_result block → { name, isError, sections }. Images are taken out of
+// the content before the renderer sees it and follow as image sections; the
+// image objects are the ones in the capture, which bundles key paths on.
+export function toolResultView(block) {
+  const content = Array.isArray(block.content) ? block.content : [];
+  const images = content.filter((c) => c?.type === "image");
+  const rest = images.length ? { ...block, content: content.filter((c) => c?.type !== "image") } : block;
+
+  // A result that is only images (a screenshot) has nothing else to render
+  const sections = images.length && !rest.content.length
+    ? []
+    : renderers.get(block.name)?.result?.(rest) || GENERIC.result(rest);
+  return {
+    name: block.name || "",
+    isError: !!block.is_error,
+    sections: [...sections, ...images.map((image) => ({ type: "image", image, alt: block.name || "image" }))],
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// Built-in renderers
+// ═══════════════════════════════════════════════════════════
+
+// Fields shown in the header, in order of preference: [field, max length]
+const SUMMARY_FIELDS = [
+  ["file_path", 0],
+  ["path", 0],
+  ["command", 80],
+  ["pattern", 0],
+  ["query", 80],
+  ["url", 80],
+  ["skill", 0],
+  ["title", 80],
+];
+
+// Metadata as JSON, rich fields raw
+const GENERIC = {
+  summary(input) {
+    for (const [key, max] of SUMMARY_FIELDS) {
+      if (!input[key]) continue;
+      // Multi-line commands show their first line
+      const value = key === "command" ? String(input[key]).split("\n")[0] : String(input[key]);
+      return `→ ${max ? value.slice(0, max) : value}`;
+    }
+    return "";
+  },
+
+  input(input, settings) {
+    const values = {};
+    const rich = [];
+    for (const [key, val] of Object.entries(input)) {
+      if (settings.richFields.includes(key) && typeof val === "string" && val.includes("\n")) {
+        rich.push({ type: "field", name: key, text: val });
+      } else {
+        values[key] = val;
+      }
+    }
+    return [...fieldsSection(values), ...rich];
+  },
+
+  result(block) {
+    return [{ type: "body", content: block.content }];
+  },
+};
+
+// str_replace-style edits: old_str → new_str as a unified diff. Other
+// commands of the same tools (create, view) fall back to the generic view.
+registerRenderer(["str_replace", "str_replace_editor", "str_replace_based_edit_tool", "edit_file", "Edit", "artifacts"], {
+  input(input) {
+    const before = input.old_str ?? input.old_string;
+    const after = input.new_str ?? input.new_string;
+    if (typeof before !== "string" || typeof after !== "string") return null;
+
+    const path = input.path || input.file_path || input.id || "";
+    const rest = omit(input, ["old_str", "new_str", "old_string", "new_string"]);
+    return [...fieldsSection(rest), { type: "diff", path, text: unifiedDiff(before, after, path) }];
+  },
+});
+
+// Shell: the command as a $ prompt, the result as its output, stderr and
+// exit code
+registerRenderer(["bash_tool", "bash", "Bash"], {
+  input(input) {
+    if (typeof input.command !== "string") return null;
+    return [...fieldsSection(omit(input, ["command"])), { type: "shell", command: input.command }];
+  },
+
+  result(block) {
+    const text = extractToolResultText(block.content);
+    try {
+      // { returncode, stdout, stderr } from the code execution tools
+      const parsed = JSON.parse(text);
+      if (parsed && "stdout" in parsed && "returncode" in parsed) {
+        return [{
+          type: "shell",
+          output: (parsed.stdout || "").trimEnd(),
+          stderr: (parsed.stderr || "").trimEnd(),
+          exitCode: parsed.returncode,
+        }];
+      }
+    } catch {}
+    return [{ type: "shell", output: text.trimEnd(), stderr: "", exitCode: null }];
+  },
+});
+
+// Web search and fetch: results as a list of titled links
+registerRenderer(["web_search", "web_fetch", "WebSearch", "WebFetch"], {
+  result(block) {
+    const links = resultItems(block.content)
+      .filter((item) => typeof item?.url === "string")
+      .map((item) => ({
+        title: item.title || item.metadata?.title || item.url,
+        url: item.url,
+        snippet: snippet(item.text || item.snippet || item.metadata?.site_name || ""),
+      }));
+    return links.length ? [{ type: "links", links }] : null;
+  },
+});
+
+// ═══════════════════════════════════════════════════════════
+// Helpers
+// ═══════════════════════════════════════════════════════════
+
+function fieldsSection(values) {
+  return Object.keys(values).length ? [{ type: "fields", values }] : [];
+}
+
+function omit(obj, keys) {
+  return Object.fromEntries(Object.entries(obj).filter(([key]) => !keys.includes(key)));
+}
+
+// Result entries as objects: claude.ai sends { type: "knowledge", title,
+// url, text } blocks; other tools put a JSON list in a text block
+function resultItems(content) {
+  if (!Array.isArray(content)) return [];
+  return content.flatMap((c) => {
+    if (c?.type !== "text") return [c];
+    try {
+      const parsed = JSON.parse(c.text);
+      return Array.isArray(parsed) ? parsed : parsed?.results || [];
+    } catch {
+      return [];
+    }
+  });
+}
+
+function snippet(text) {
+  const line = String(text).replace(/\s+/g, " ").trim();
+  return line.length > 160 ? line.slice(0, 160) + "…" : line;
+}
+
+// Line diff of two snippets, as one hunk with every line of context.
+// Snippets are small; past DIFF_MAX_CELLS the LCS table isn't worth it and
+// the diff is just everything removed, then everything added.
+const DIFF_MAX_CELLS = 250000;
+
+function unifiedDiff(before, after, path = "") {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  const lines = [];
+
+  if (a.length * b.length > DIFF_MAX_CELLS) {
+    for (const l of a) lines.push(`-${l}`);
+    for (const l of b) lines.push(`+${l}`);
+  } else {
+    // lcs[i][j] = longest common subsequence of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        lines.push(` ${a[i++]}`);
+        j++;
+      } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        lines.push(`-${a[i++]}`);
+      } else {
+        lines.push(`+${b[j++]}`);
+      }
+    }
+  }
+
+  const header = path ? [`--- a/${path.replace(/^\/+/, "")}`, `+++ b/${path.replace(/^\/+/, "")}`] : [];
+  return [...header, `@@ -1,${a.length} +1,${b.length} @@`, ...lines].join("\n");
+}
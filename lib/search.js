@@ -0,0 +1,139 @@
+// search.js — local full-text index over captured conversations
+// One index document per conversation: the text entries (one per block, via
+// extractMessageTexts) plus an inverted index of term → entry positions
+
+import { extractMessageTexts } from "./formatter.js";
+
+const MIN_TERM_LENGTH = 2;
+const SNIPPET_RADIUS = 60;
+
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+    .filter((t) => t.length >= MIN_TERM_LENGTH);
+}
+
+// Covers every message in the capture, all branches included
+export function buildSearchDoc(conversationId, data) {
+  const entries = [];
+  const terms = {};
+
+  (data?.chat_messages || []).forEach((msg, messageIndex) => {
+    for (const { kind, text } of extractMessageTexts(msg)) {
+      const entryIndex = entries.length;
+      entries.push({
+        messageUuid: msg.uuid || null,
+        messageIndex,
+        sender: msg.sender || "unknown",
+        kind,
+        text,
+      });
+      for (const term of new Set(tokenize(text))) {
+        (terms[term] ||= []).push(entryIndex);
+      }
+    }
+  });
+
+  return {
+    conversationId,
+    name: data?.name || "",
+    entries,
+    terms,
+  };
+}
+
+// All query terms must match (the last one as a prefix, for search-as-you-type)
+// Returns entries ranked by hit count, each with a snippet and highlight ranges
+export function searchDocs(docs, query, { limit = 50 } = {}) {
+  const queryTerms = tokenize(query);
+  if (!queryTerms.length) return [];
+
+  const results = [];
+
+  for (const doc of docs) {
+    let matches = null;
+
+    for (let i = 0; i < queryTerms.length; i++) {
+      const isLast = i === queryTerms.length - 1;
+      const hits = new Set();
+      for (const [term, postings] of Object.entries(doc.terms)) {
+        if (term === queryTerms[i] || (isLast && term.startsWith(queryTerms[i]))) {
+          postings.forEach((p) => hits.add(p));
+        }
+      }
+      matches = matches ? new Set([...matches].filter((p) => hits.has(p))) : hits;
+      if (!matches.size) break;
+    }
+
+    for (const entryIndex of matches || []) {
+      const entry = doc.entries[entryIndex];
+      const { snippet, highlights } = makeSnippet(entry.text, queryTerms);
+      results.push({
+        conversationId: doc.conversationId,
+        name: doc.name,
+        messageUuid: entry.messageUuid,
+        messageIndex: entry.messageIndex,
+        sender: entry.sender,
+        kind: entry.kind,
+        snippet,
+        highlights,
+        score: countHits(entry.text, queryTerms),
+      });
+    }
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Hits in the whole entry (not just the snippet): tokens equal to a query
+// term, or starting with the last one — the same rule as the index lookup
+function countHits(text, queryTerms) {
+  const last = queryTerms[queryTerms.length - 1];
+  const exact = new Set(queryTerms);
+  return tokenize(text).filter((t) => exact.has(t) || t.startsWith(last)).length;
+}
+
+// Window of text around the first hit; highlights are [start, end] offsets
+// into the returned snippet
+function makeSnippet(text, queryTerms) {
+  const flat = text.replace(/\s+/g, " ");
+  const lower = flat.toLowerCase();
+
+  let first = -1;
+  for (const term of queryTerms) {
+    const at = lower.indexOf(term);
+    if (at !== -1 && (first === -1 || at < first)) first = at;
+  }
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(flat.length, Math.max(first, 0) + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? "…" : "";
+  const snippet = prefix + flat.slice(start, end) + (end < flat.length ? "…" : "");
+
+  const highlights = [];
+  const snippetLower = snippet.toLowerCase();
+  for (const term of queryTerms) {
+    let at = snippetLower.indexOf(term);
+    while (at !== -1) {
+      highlights.push([at, at + term.length]);
+      at = snippetLower.indexOf(term, at + term.length);
+    }
+  }
+  highlights.sort((a, b) => a[0] - b[0]);
+
+  return { snippet, highlights: mergeRanges(highlights) };
+}
+
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  return merged;
+}
@@ -0,0 +1,157 @@
+// settings.js — user settings for formatting and filenames
+// Stored in chrome.storage.sync under one key; anything not set falls back
+// to DEFAULT_SETTINGS, so older stored settings keep working as fields are added
+
+const STORAGE_KEY = "settings";
+
+export const DEFAULT_SETTINGS = {
+  // Truncation limits — generous for wood-chipper use case
+  // Set to 0 for no truncation
+  limits: {
+    toolUseMeta: 2000,     // JSON metadata fields in tool_use
+    toolUseContent: 0,     // Rich content fields (content, new_str, etc.) — no limit
+    toolResult: 0,         // Tool result body — no limit
+    thinking: 0,           // Thinking blocks — no limit
+  },
+
+  // Block types included in exports
+  include: {
+    thinking: true,
+    tool_use: true,
+    tool_result: true,
+    files: true,
+  },
+
+  // Tool input fields likely to contain markdown/code worth rendering raw
+  richFields: [
+    "content", "new_str", "old_str", "text", "body", "description",
+    "message", "prompt", "code", "script", "markdown", "html",
+    "new_string", "old_string", "file_text",
+  ],
+
+  // File extension → code fence language for embedded text files
+  languages: {
+    py: "python",
+    js: "javascript",
+    ts: "typescript",
+    rs: "rust",
+  },
+
+  // Bundles: also write every intermediate artifact version
+  artifacts: {
+    versions: false,
+  },
+
+  // Outliner paste format — a key of OUTLINER_DIALECTS in outliner.js
+  outliner: {
+    dialect: "float",
+  },
+
+  // Obsidian vault export — see obsidian.js
+  obsidian: {
+    folder: "attachments", // Attachments folder inside the vault ("" = next to the note)
+    tags: ["claude"],      // Frontmatter tags
+  },
+
+  // Per-message details under each heading — see messageMetadata() in
+  // formatter.js. timeZone is an IANA name ("" = the browser's own zone)
+  metadata: {
+    enabled: false,
+    timeZone: "",
+    elapsed: true,      // Time since the previous turn
+  },
+
+  // Masking of secrets and PII before export — see redact.js. detectors
+  // are the built-in DETECTORS; custom holds regex sources. ip is opt-in:
+  // version strings and other dotted numbers in code look like addresses
+  redaction: {
+    enabled: true,
+    detectors: {
+      privateKey: true,
+      jwt: true,
+      apiKey: true,
+      email: true,
+      ip: false,
+    },
+    custom: [],
+  },
+
+  // Push targets — see outbox.js. Each is
+  // { id, name, kind: "http" | "native", url, host, format, auto, enabled }
+  // where auto pushes after every capture
+  destinations: [],
+
+  // Download names, without extension — see renderFilename() for tokens
+  filenames: {
+    markdown: "claude-{slug}-{date}",
+    outliner: "outliner-{slug}-{date}",
+    bundle: "claude-{slug}-{date}",
+    html: "claude-{slug}-{date}",
+    data: "claude-{slug}-{date}",
+    obsidian: "{title}", // Note name; the zip gets the same name
+  },
+};
+
+export const DESTINATION_FORMATS = ["json", "jsonl", "markdown", "outliner", "html"];
+
+export const FILENAME_TOKENS = ["title", "slug", "date", "time", "model", "id"];
+
+// Fill in defaults for anything missing; accepts a partial settings object
+export function mergeSettings(partial = {}) {
+  const merged = { ...DEFAULT_SETTINGS, ...partial };
+  for (const key of ["limits", "include", "artifacts", "outliner", "obsidian", "metadata", "filenames"]) {
+    merged[key] = { ...DEFAULT_SETTINGS[key], ...(partial?.[key] || {}) };
+  }
+  // User-edited lists replace the defaults, so removed entries stay removed
+  if (!partial?.languages) merged.languages = DEFAULT_SETTINGS.languages;
+  if (!Array.isArray(merged.richFields)) merged.richFields = DEFAULT_SETTINGS.richFields;
+  if (!Array.isArray(merged.destinations)) merged.destinations = [];
+  merged.redaction = {
+    ...DEFAULT_SETTINGS.redaction,
+    ...(partial?.redaction || {}),
+    detectors: { ...DEFAULT_SETTINGS.redaction.detectors, ...(partial?.redaction?.detectors || {}) },
+  };
+  if (!Array.isArray(merged.redaction.custom)) merged.redaction.custom = [];
+  return merged;
+}
+
+export async function loadSettings() {
+  const result = await chrome.storage.sync.get(STORAGE_KEY);
+  return mergeSettings(result[STORAGE_KEY]);
+}
+
+export async function saveSettings(settings) {
+  await chrome.storage.sync.set({ [STORAGE_KEY]: mergeSettings(settings) });
+}
+
+export async function resetSettings() {
+  await chrome.storage.sync.remove(STORAGE_KEY);
+}
+
+// Expand a filename template. Tokens: {title} {slug} {date} {time} {model} {id}
+// Result is safe on every filesystem; the caller appends the extension.
+export function renderFilename(template, { name, conversationId, model } = {}) {
+  const now = new Date();
+  const slug = (name || conversationId || "conversation")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, 60);
+
+  const values = {
+    title: (name || conversationId || "conversation").slice(0, 80),
+    slug,
+    date: now.toISOString().slice(0, 10),
+    time: now.toISOString().slice(11, 16).replace(":", ""),
+    model: model || "unknown",
+    id: (conversationId || "").slice(0, 8),
+  };
+
+  const filled = template.replace(/\{(\w+)\}/g, (match, token) =>
+    token in values ? values[token] : match
+  );
+
+  return filled
+    .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, "-")
+    .replace(/^[.\s]+|[.\s]+$/g, "")
+    .slice(0, 150) || "conversation";
+}
@@ -0,0 +1,155 @@
+// stats.js — how heavy a conversation was, from the stored capture
+// Counts cover the selected branches (same branch/leaf/messages options as
+// the formatters) but ignore the include toggles and redaction: they describe
+// the session, not one particular export of it. Token counts are estimates
+// (about 4 characters per token), good for comparing sessions, not billing.
+
+import {
+  selectBranches,
+  extractMessageTexts,
+  base64Size,
+  utf8Size,
+  formatElapsed,
+} from "./formatter.js";
+import { mergeSettings } from "./settings.js";
+
+const CHARS_PER_TOKEN = 4;
+
+// Returns {
+//   messages: { total, human, assistant }, turns,
+//   tools: { calls, errors, byName: { [name]: { calls, errors, errorRate } } },
+//   thinking: { blocks, chars, tokens },
+//   tokens: { human, assistant, total },
+//   attachments: { count, embedded, bytes },
+//   duration: { start, end, ms },
+// }
+export function conversationStats(data, options = {}) {
+  const settings = mergeSettings(options.settings);
+  const segments = selectBranches(data, {
+    ...options,
+    since: null,
+    settings: {
+      ...settings,
+      include: Object.fromEntries(Object.keys(settings.include).map((key) => [key, true])),
+      redaction: { ...settings.redaction, enabled: false },
+    },
+  });
+
+  const stats = {
+    messages: { total: 0, human: 0, assistant: 0 },
+    turns: 0,
+    tools: { calls: 0, errors: 0, byName: {} },
+    thinking: { blocks: 0, chars: 0, tokens: 0 },
+    tokens: { human: 0, assistant: 0, total: 0 },
+    attachments: { count: 0, embedded: 0, bytes: 0 },
+    duration: { start: null, end: null, ms: 0 },
+  };
+  const tool = (name) => (stats.tools.byName[name || "unknown"] ||= { calls: 0, errors: 0, errorRate: 0 });
+  let first = Infinity;
+  let last = -Infinity;
+  // Results name their tool, but older captures only link them by ID — and
+  // the call can sit in an earlier message than its result
+  const names = new Map(); // tool_use id → name
+
+  for (const segment of segments) {
+    for (const msg of segment.messages) {
+      const role = msg.sender === "human" || msg.sender === "user" ? "human" : "assistant";
+      stats.messages.total++;
+      stats.messages[role]++;
+      // A turn is a prompt and everything answering it
+      if (role === "human") stats.turns++;
+
+      for (const { kind, text } of extractMessageTexts(msg)) {
+        const tokens = estimateTokens(text);
+        stats.tokens[role] += tokens;
+        if (kind === "thinking") {
+          stats.thinking.chars += text.length;
+          stats.thinking.tokens += tokens;
+        }
+      }
+
+      for (const block of Array.isArray(msg.content) ? msg.content : []) {
+        if (block.type === "thinking") stats.thinking.blocks++;
+        if (block.type === "tool_use") {
+          names.set(block.id, block.name);
+          stats.tools.calls++;
+          tool(block.name).calls++;
+        }
+        if (block.type === "tool_result" && block.is_error) {
+          stats.tools.errors++;
+          tool(block.name || names.get(block.tool_use_id)).errors++;
+        }
+      }
+
+      for (const file of msg.files_v2 || msg.files || []) {
+        stats.attachments.count++;
+        if (file._embedded_base64) {
+          stats.attachments.embedded++;
+          stats.attachments.bytes += base64Size(file._embedded_base64);
+        } else if (file._embedded_text) {
+          stats.attachments.embedded++;
+          stats.attachments.bytes += utf8Size(file._embedded_text);
+        }
+      }
+      for (const att of msg.attachments || []) {
+        stats.attachments.count++;
+        stats.attachments.bytes += att.file_size || 0;
+      }
+
+      const created = Date.parse(msg.created_at);
+      if (!Number.isNaN(created)) {
+        first = Math.min(first, created);
+        last = Math.max(last, created);
+      }
+    }
+  }
+
+  stats.tokens.total = stats.tokens.human + stats.tokens.assistant;
+  for (const entry of Object.values(stats.tools.byName)) {
+    entry.errorRate = entry.calls ? entry.errors / entry.calls : 0;
+  }
+  if (last >= first) {
+    stats.duration = { start: new Date(first).toISOString(), end: new Date(last).toISOString(), ms: last - first };
+  }
+  return stats;
+}
+
+// One line per figure, for the popup
+export function describeStats(stats) {
+  const lines = [
+    `${plural(stats.turns, "turn")} · ${plural(stats.messages.total, "message")} (${stats.messages.human} human, ${stats.messages.assistant} assistant)`,
+    `~${formatCount(stats.tokens.total)} tokens (${formatCount(stats.tokens.human)} human, ${formatCount(stats.tokens.assistant)} assistant)`,
+  ];
+  if (stats.tools.calls) {
+    const tools = Object.entries(stats.tools.byName)
+      .sort((a, b) => b[1].calls - a[1].calls)
+      .map(([name, t]) => `${name} ${t.calls}${t.errors ? ` (${Math.round(t.errorRate * 100)}% errors)` : ""}`);
+    lines.push(`${plural(stats.tools.calls, "tool call")}: ${tools.join(", ")}`);
+  }
+  if (stats.thinking.blocks) {
+    lines.push(`Thinking: ${plural(stats.thinking.blocks, "block")}, ~${formatCount(stats.thinking.tokens)} tokens`);
+  }
+  if (stats.attachments.count) {
+    lines.push(`Files: ${stats.attachments.count} (${formatBytes(stats.attachments.bytes)})`);
+  }
+  if (stats.duration.ms) lines.push(`Duration: ${formatElapsed(stats.duration.ms)}`);
+  return lines;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+function formatCount(n) {
+  return n >= 1000 ? `${(n / 1000).toFixed(n >= 10000 ? 0 : 1)}k` : String(n);
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
@@ -0,0 +1,30 @@
+// offscreen.js — blob: URLs for downloads started by the background worker
+// A service worker has no URL.createObjectURL, and data: URLs stop working
+// past a couple of MB, so the worker hands each file over here and passes
+// the URL this page makes to chrome.downloads. Only messages addressed to
+// "offscreen" are handled; everything else belongs to the worker.
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== "offscreen") return;
+
+  switch (message.type) {
+    case "CREATE_BLOB_URL": {
+      const body = message.base64 != null ? decodeBase64(message.base64) : message.text;
+      const blob = new Blob([body], { type: message.mediaType });
+      sendResponse({ ok: true, url: URL.createObjectURL(blob), size: blob.size });
+      break;
+    }
+
+    case "REVOKE_BLOB_URL":
+      URL.revokeObjectURL(message.url);
+      sendResponse({ ok: true });
+      break;
+  }
+});
+
+function decodeBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
@@ -0,0 +1,331 @@
+// options.js — settings page: formatter options and filename templates
+// Everything here is read by the popup, archive and bulk pages via lib/settings.js
+
+import {
+  DEFAULT_SETTINGS,
+  DESTINATION_FORMATS,
+  FILENAME_TOKENS,
+  loadSettings,
+  saveSettings,
+  resetSettings,
+  renderFilename,
+} from "../lib/settings.js";
+import { OUTLINER_DIALECTS } from "../lib/outliner.js";
+
+const includeInputs = document.querySelectorAll("[data-include]");
+const detectorInputs = document.querySelectorAll("[data-detector]");
+const limitInputs = document.querySelectorAll("[data-limit]");
+const filenameInputs = document.querySelectorAll("[data-filename]");
+const richFieldsInput = document.getElementById("richFields");
+const languagesInput = document.getElementById("languages");
+const redactionEnabledInput = document.getElementById("redactionEnabled");
+const redactionCustomInput = document.getElementById("redactionCustom");
+const metadataEnabledInput = document.getElementById("metadataEnabled");
+const metadataElapsedInput = document.getElementById("metadataElapsed");
+const metadataTimeZoneInput = document.getElementById("metadataTimeZone");
+const timeZonesEl = document.getElementById("timeZones");
+const artifactVersionsInput = document.getElementById("artifactVersions");
+const outlinerDialectSelect = document.getElementById("outlinerDialect");
+const obsidianFolderInput = document.getElementById("obsidianFolder");
+const obsidianTagsInput = document.getElementById("obsidianTags");
+const tokensEl = document.getElementById("tokens");
+const exampleEl = document.getElementById("example");
+const saveBtn = document.getElementById("saveBtn");
+const resetBtn = document.getElementById("resetBtn");
+const destinationsEl = document.getElementById("destinations");
+const addDestinationBtn = document.getElementById("addDestinationBtn");
+const outboxSummary = document.getElementById("outboxSummary");
+const outboxEl = document.getElementById("outbox");
+const retryOutboxBtn = document.getElementById("retryOutboxBtn");
+const toast = document.getElementById("toast");
+
+// Edited in place by the destination rows, saved with the rest of the form
+let destinations = [];
+
+const EXAMPLE = {
+  name: "Refactor the parser",
+  conversationId: "0f4e2a9c-6b1d-4c8e-9a57-3d2f1e0b8c64",
+  model: "claude-sonnet-4",
+};
+
+function render(settings) {
+  for (const input of includeInputs) {
+    input.checked = settings.include[input.dataset.include];
+  }
+  metadataEnabledInput.checked = settings.metadata.enabled;
+  metadataElapsedInput.checked = settings.metadata.elapsed;
+  metadataTimeZoneInput.value = settings.metadata.timeZone;
+  redactionEnabledInput.checked = settings.redaction.enabled;
+  for (const input of detectorInputs) {
+    input.checked = settings.redaction.detectors[input.dataset.detector];
+  }
+  redactionCustomInput.value = settings.redaction.custom.join("\n");
+  for (const input of limitInputs) {
+    input.value = settings.limits[input.dataset.limit];
+  }
+  for (const input of filenameInputs) {
+    input.value = settings.filenames[input.dataset.filename];
+  }
+  artifactVersionsInput.checked = settings.artifacts.versions;
+  outlinerDialectSelect.value = settings.outliner.dialect;
+  obsidianFolderInput.value = settings.obsidian.folder;
+  obsidianTagsInput.value = settings.obsidian.tags.join(", ");
+  destinations = settings.destinations.map((d) => ({ ...d }));
+  renderDestinations();
+  richFieldsInput.value = settings.richFields.join("\n");
+  languagesInput.value = Object.entries(settings.languages)
+    .map(([ext, lang]) => `${ext}=${lang}`)
+    .join("\n");
+  updateExample();
+}
+
+function readForm() {
+  const settings = {
+    include: {},
+    limits: {},
+    metadata: {
+      enabled: metadataEnabledInput.checked,
+      elapsed: metadataElapsedInput.checked,
+      timeZone: validateTimeZone(metadataTimeZoneInput.value.trim()),
+    },
+    redaction: {
+      enabled: redactionEnabledInput.checked,
+      detectors: {},
+      custom: lines(redactionCustomInput.value).map(validatePattern),
+    },
+    artifacts: { versions: artifactVersionsInput.checked },
+    outliner: { dialect: outlinerDialectSelect.value },
+    obsidian: {
+      folder: obsidianFolderInput.value.trim().replace(/^\/+|\/+$/g, ""),
+      tags: obsidianTagsInput.value.split(",").map((t) => t.trim().replace(/^#/, "")).filter(Boolean),
+    },
+    destinations: destinations.map(validateDestination),
+    filenames: {},
+    richFields: lines(richFieldsInput.value),
+    languages: {},
+  };
+
+  for (const input of includeInputs) {
+    settings.include[input.dataset.include] = input.checked;
+  }
+  for (const input of detectorInputs) {
+    settings.redaction.detectors[input.dataset.detector] = input.checked;
+  }
+  for (const input of limitInputs) {
+    const value = parseInt(input.value, 10);
+    settings.limits[input.dataset.limit] = value > 0 ? value : 0;
+  }
+  for (const input of filenameInputs) {
+    const key = input.dataset.filename;
+    settings.filenames[key] = input.value.trim() || DEFAULT_SETTINGS.filenames[key];
+  }
+  for (const line of lines(languagesInput.value)) {
+    const [ext, lang] = line.split("=").map((s) => s.trim());
+    if (!ext || !lang) throw new Error(`Language line needs ext=language: "${line}"`);
+    settings.languages[ext.replace(/^\./, "").toLowerCase()] = lang;
+  }
+
+  return settings;
+}
+
+// "" keeps the browser's zone; anything else must be an IANA name
+function validateTimeZone(timeZone) {
+  if (!timeZone) return "";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch {
+    throw new Error(`Unknown time zone "${timeZone}" — use an IANA name like Europe/Berlin or UTC`);
+  }
+  return timeZone;
+}
+
+// Patterns are compiled with the g flag in redact.js. One that can match an
+// empty string is almost always a typo (a stray |, * for +), so reject it
+function validatePattern(source) {
+  let pattern;
+  try {
+    pattern = new RegExp(source);
+  } catch (err) {
+    throw new Error(`Redaction pattern /${source}/: ${err.message}`);
+  }
+  if (pattern.test("")) throw new Error(`Redaction pattern /${source}/ matches an empty string`);
+  return source;
+}
+
+function renderDestinations() {
+  destinationsEl.replaceChildren(...destinations.map(destinationRow));
+}
+
+function destinationRow(destination) {
+  const row = document.createElement("div");
+  row.className = "destination";
+
+  const name = textInput(destination.name, "Name", (v) => { destination.name = v; });
+  const kind = select(["http", "native"], destination.kind, (v) => {
+    destination.kind = v;
+    renderDestinations();
+  });
+  const format = select(DESTINATION_FORMATS, destination.format, (v) => { destination.format = v; });
+  const remove = document.createElement("button");
+  remove.className = "secondary";
+  remove.textContent = "Remove";
+  remove.addEventListener("click", () => {
+    destinations = destinations.filter((d) => d !== destination);
+    renderDestinations();
+  });
+
+  const target = destination.kind === "native"
+    ? textInput(destination.host, "Native host, e.g. com.example.float_ingest", (v) => { destination.host = v; })
+    : textInput(destination.url, "http://localhost:8080/ingest", (v) => { destination.url = v; });
+  target.classList.add("target");
+
+  row.append(
+    name, kind, format, remove,
+    target,
+    checkbox("Auto", destination.auto, (v) => { destination.auto = v; }),
+    checkbox("Enabled", destination.enabled, (v) => { destination.enabled = v; })
+  );
+  return row;
+}
+
+// Only localhost is in host_permissions; native host names are dotted identifiers
+function validateDestination(d) {
+  const label = d.name || "Destination";
+  if (d.kind === "native") {
+    if (!/^\w+(\.\w+)*$/.test(d.host || "")) throw new Error(`${label}: invalid native host name`);
+  } else {
+    let url;
+    try {
+      url = new URL(d.url);
+    } catch {
+      throw new Error(`${label}: invalid URL`);
+    }
+    if (url.protocol !== "http:" || !["localhost", "127.0.0.1"].includes(url.hostname)) {
+      throw new Error(`${label}: only http://localhost and http://127.0.0.1 URLs are allowed`);
+    }
+  }
+  return { ...d, name: d.name || d.url || d.host };
+}
+
+addDestinationBtn.addEventListener("click", () => {
+  destinations.push({
+    id: crypto.randomUUID().slice(0, 8),
+    name: "",
+    kind: "http",
+    url: "",
+    host: "",
+    format: "json",
+    auto: false,
+    enabled: true,
+  });
+  renderDestinations();
+});
+
+async function refreshOutbox() {
+  const result = await chrome.runtime.sendMessage({ type: "GET_OUTBOX" });
+  const outbox = result?.ok ? result.outbox : [];
+
+  const failed = outbox.filter((e) => e.failed).length;
+  outboxSummary.textContent = outbox.length
+    ? `${outbox.length} queued${failed ? `, ${failed} gave up` : ""}`
+    : "empty";
+  retryOutboxBtn.style.display = outbox.length ? "block" : "none";
+
+  outboxEl.replaceChildren(
+    ...outbox.map((e) => {
+      const li = document.createElement("li");
+      const next = e.failed ? "gave up" : `next try ${new Date(e.nextAttemptAt).toLocaleTimeString()}`;
+      li.textContent = `${e.destination} ← ${e.conversationId.slice(0, 8)} · ${e.attempts} attempts · ${next}`;
+      if (e.lastError) {
+        const error = document.createElement("span");
+        error.className = "error";
+        error.textContent = ` — ${e.lastError}`;
+        li.append(error);
+      }
+      return li;
+    })
+  );
+}
+
+retryOutboxBtn.addEventListener("click", async () => {
+  retryOutboxBtn.disabled = true;
+  const result = await chrome.runtime.sendMessage({ type: "RETRY_OUTBOX" });
+  retryOutboxBtn.disabled = false;
+  const sent = result?.results?.filter((r) => r.ok).length || 0;
+  showToast(result?.ok ? `Sent ${sent} of ${result.results.length}` : "Retry failed: " + (result?.error || "unknown"), !result?.ok);
+  refreshOutbox();
+});
+
+function textInput(value, placeholder, onInput) {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.value = value || "";
+  input.placeholder = placeholder;
+  input.addEventListener("input", () => onInput(input.value.trim()));
+  return input;
+}
+
+function select(values, value, onChange) {
+  const el = document.createElement("select");
+  for (const v of values) {
+    const option = document.createElement("option");
+    option.value = v;
+    option.textContent = v;
+    el.append(option);
+  }
+  el.value = value;
+  el.addEventListener("change", () => onChange(el.value));
+  return el;
+}
+
+function checkbox(label, checked, onChange) {
+  const wrapper = document.createElement("label");
+  const input = document.createElement("input");
+  input.type = "checkbox";
+  input.checked = !!checked;
+  input.addEventListener("change", () => onChange(input.checked));
+  wrapper.append(input, ` ${label}`);
+  return wrapper;
+}
+
+function updateExample() {
+  const template = document.getElementById("fn-markdown").value || DEFAULT_SETTINGS.filenames.markdown;
+  exampleEl.textContent = `${renderFilename(template, EXAMPLE)}.md`;
+}
+
+function lines(text) {
+  return text.split("\n").map((l) => l.trim()).filter(Boolean);
+}
+
+saveBtn.addEventListener("click", async () => {
+  try {
+    await saveSettings(readForm());
+    showToast("Saved");
+  } catch (err) {
+    showToast("Save failed: " + err.message, true);
+  }
+});
+
+resetBtn.addEventListener("click", async () => {
+  await resetSettings();
+  render(DEFAULT_SETTINGS);
+  showToast("Reset to defaults");
+});
+
+document.getElementById("fn-markdown").addEventListener("input", updateExample);
+
+function showToast(msg, isError = false) {
+  toast.textContent = msg;
+  toast.className = `toast visible${isError ? " error" : ""}`;
+  setTimeout(() => {
+    toast.className = "toast";
+  }, 3000);
+}
+
+tokensEl.textContent = FILENAME_TOKENS.map((t) => `{${t}}`).join(" ");
+timeZonesEl.append(...(Intl.supportedValuesOf?.("timeZone") || []).map((zone) => new Option(zone)));
+outlinerDialectSelect.append(
+  ...Object.entries(OUTLINER_DIALECTS).map(([key, dialect]) => new Option(dialect.label, key))
+);
+loadSettings().then(render);
+refreshOutbox();
@@ -1,25 +1,88 @@
-import { formatConversation, formatForOutliner, formatBundle } from "../lib/formatter.js";
+import {
+  listBranches,
+  selectBranches,
+  deltaCursor,
+  lastMessageUuid,
+  extractPlainText,
+} from "../lib/formatter.js";
+import { buildExport, zipFiles } from "../lib/export.js";
+import { OUTLINER_DIALECTS } from "../lib/outliner.js";
+import { findRedactions } from "../lib/redact.js";
+import { conversationStats, describeStats } from "../lib/stats.js";
+import { DEFAULT_SETTINGS, loadSettings, saveSettings } from "../lib/settings.js";
 
 const statusEl = document.getElementById("status");
 const metaEl = document.getElementById("meta");
 const metaTitle = document.getElementById("metaTitle");
 const metaMessages = document.getElementById("metaMessages");
 const metaTime = document.getElementById("metaTime");
+const metaStats = document.getElementById("metaStats");
 const copyBtn = document.getElementById("copyBtn");
 const outlinerBtn = document.getElementById("outlinerBtn");
+const outlinerDialect = document.getElementById("outlinerDialect");
 const bundleBtn = document.getElementById("bundleBtn");
+const obsidianBtn = document.getElementById("obsidianBtn");
 const downloadBtn = document.getElementById("downloadBtn");
+const bulkBtn = document.getElementById("bulkBtn");
+const projectBtn = document.getElementById("projectBtn");
+const pushBtn = document.getElementById("pushBtn");
+const dataExports = document.getElementById("dataExports");
+const htmlBtn = document.getElementById("htmlBtn");
+const jsonBtn = document.getElementById("jsonBtn");
+const jsonlBtn = document.getElementById("jsonlBtn");
+const archiveBtn = document.getElementById("archiveBtn");
+const settingsBtn = document.getElementById("settingsBtn");
+const cancelBtn = document.getElementById("cancelBtn");
 const toast = document.getElementById("toast");
+const redactPreview = document.getElementById("redactPreview");
+const redactSummary = document.getElementById("redactSummary");
+const redactList = document.getElementById("redactList");
+const redactConfirmBtn = document.getElementById("redactConfirmBtn");
+const redactCancelBtn = document.getElementById("redactCancelBtn");
+const branchOptions = document.getElementById("branchOptions");
+const branchMode = document.getElementById("branchMode");
+const leafSelect = document.getElementById("leafSelect");
+const selectionEl = document.getElementById("selection");
+const selectionSummary = document.getElementById("selectionSummary");
+const includeToggles = selectionEl.querySelectorAll("[data-include]");
+const rangeFrom = document.getElementById("rangeFrom");
+const rangeTo = document.getElementById("rangeTo");
+const rangeBtn = document.getElementById("rangeBtn");
+const selectAllBtn = document.getElementById("selectAllBtn");
+const messageList = document.getElementById("messageList");
+const deltaOption = document.getElementById("deltaOption");
+const deltaOnly = document.getElementById("deltaOnly");
+const deltaLabel = document.getElementById("deltaLabel");
 
 let pageInfo = null;
+let activeTabId = null;
+let lastExport = null;
+let settings = DEFAULT_SETTINGS;
+let resolveRedaction = null;
+let captureData = null; // Stored capture, for the message selection list
 
 async function init() {
+  settings = await loadSettings();
+  outlinerDialect.replaceChildren(
+    ...Object.entries(OUTLINER_DIALECTS).map(([key, dialect]) => {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = dialect.label;
+      return option;
+    })
+  );
+  outlinerDialect.value = settings.outliner.dialect;
+  for (const input of includeToggles) {
+    input.checked = settings.include[input.dataset.include];
+  }
+
   // Get current tab's page info
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   if (!tab?.id) {
     statusEl.textContent = "No active tab";
     return;
   }
+  activeTabId = tab.id;
 
   try {
     pageInfo = await chrome.tabs.sendMessage(tab.id, { type: "GET_PAGE_INFO" });
@@ -28,6 +91,15 @@ async function init() {
     return;
   }
 
+  if (pageInfo?.onClaudeDotAi) bulkBtn.style.display = "block";
+
+  if (pageInfo?.projectId) {
+    statusEl.textContent = "Project page — exports instructions, knowledge and all chats";
+    statusEl.className = "status ready";
+    projectBtn.style.display = "block";
+    return;
+  }
+
   if (!pageInfo?.onClaudeDotAi || !pageInfo?.conversationId) {
     statusEl.textContent = "Navigate to a Claude conversation first";
     return;
@@ -47,9 +119,12 @@ async function init() {
     copyBtn.disabled = false;
     outlinerBtn.disabled = false;
     bundleBtn.disabled = false;
+    obsidianBtn.disabled = false;
     copyBtn.textContent = "Fetch & Copy";
     downloadBtn.style.display = "block";
     downloadBtn.textContent = "Fetch & Download .md";
+    dataExports.style.display = "flex";
+    showPushOption();
 
     metaEl.style.display = "block";
     metaTitle.textContent = pageInfo.title || pageInfo.conversationId;
@@ -62,9 +137,12 @@ function showCaptured(status) {
   copyBtn.disabled = false;
   outlinerBtn.disabled = false;
   bundleBtn.disabled = false;
+  obsidianBtn.disabled = false;
   copyBtn.textContent = "Copy to Clipboard";
   downloadBtn.style.display = "block";
   downloadBtn.textContent = "Download .md";
+  dataExports.style.display = "flex";
+  showPushOption();
 
   metaEl.style.display = "block";
   metaTitle.textContent = status.name || pageInfo?.conversationId || "";
@@ -72,6 +150,271 @@ function showCaptured(status) {
   if (status.capturedAt) {
     metaTime.textContent = `Captured: ${formatTime(status.capturedAt)}`;
   }
+
+  lastExport = status.lastExport || null;
+  updateDeltaOption();
+  loadBranches();
+}
+
+// Populate the branch selector from the stored capture's message tree
+async function loadBranches() {
+  const result = await chrome.runtime.sendMessage({
+    type: "GET_CAPTURE_DATA",
+    conversationId: pageInfo.conversationId,
+  });
+  if (!result?.ok) return;
+  captureData = result.data;
+  renderMessageList();
+  updateDeltaOption();
+
+  const branches = listBranches(result.data);
+  if (branches.length < 2) {
+    branchOptions.style.display = "none";
+    return;
+  }
+
+  const selected = leafSelect.value;
+  leafSelect.replaceChildren(
+    ...branches.map((b, i) => {
+      const option = document.createElement("option");
+      option.value = b.leafId;
+      option.textContent = `${i + 1}. ${b.active ? "(active) " : ""}${b.preview || b.leafId} — ${b.messageCount} msgs`;
+      return option;
+    })
+  );
+  leafSelect.value = branches.some((b) => b.leafId === selected)
+    ? selected
+    : branches.find((b) => b.active)?.leafId || branches[0].leafId;
+
+  branchMode.options[1].textContent = `All branches (${branches.length})`;
+  branchOptions.style.display = "flex";
+}
+
+// Remember the outliner choice for next time (and for push destinations)
+outlinerDialect.addEventListener("change", async () => {
+  settings = { ...settings, outliner: { ...settings.outliner, dialect: outlinerDialect.value } };
+  await saveSettings(settings);
+});
+
+branchMode.addEventListener("change", () => {
+  leafSelect.style.display = branchMode.value === "leaf" ? "block" : "none";
+  renderMessageList();
+  updateDeltaOption();
+});
+
+leafSelect.addEventListener("change", () => {
+  renderMessageList();
+  updateDeltaOption();
+});
+
+// ═══════════════════════════════════════════════════════════
+// Message selection — numbered list of the chosen branches; unticked
+// messages and switched-off block types are left out of every export
+// ═══════════════════════════════════════════════════════════
+
+function renderMessageList() {
+  if (!captureData) return;
+
+  // A refetch re-renders the list — ticks carry over, new messages stay out
+  // of an active selection
+  const previous = selectedMessages();
+  const keep = previous && new Set(previous);
+
+  const segments = selectBranches(captureData, { ...exportOptions(), since: null, messages: null });
+  const items = [];
+  let n = 0;
+  for (const segment of segments) {
+    if (segment.label) {
+      const heading = document.createElement("li");
+      heading.className = "branch";
+      heading.textContent = segment.label;
+      items.push(heading);
+    }
+    for (const msg of segment.messages) {
+      const li = document.createElement("li");
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.value = msg.uuid;
+      input.dataset.n = ++n;
+      input.checked = !keep || keep.has(msg.uuid);
+      input.addEventListener("change", updateSelectionSummary);
+      label.append(input, ` ${n}. ${messagePreview(msg)}`);
+      label.title = label.textContent.trim();
+      li.append(label);
+      items.push(li);
+    }
+  }
+  messageList.replaceChildren(...items);
+  rangeFrom.max = rangeTo.max = n;
+  selectionEl.style.display = n ? "block" : "none";
+  updateSelectionSummary();
+}
+
+function messagePreview(msg) {
+  const who = msg.sender === "human" ? "You" : "Claude";
+  const text = extractPlainText(msg.content) || msg.text || "";
+  const firstLine = text.trim().split("\n")[0].slice(0, 80);
+  if (firstLine) return `${who}: ${firstLine}`;
+  const tools = Array.isArray(msg.content) ? msg.content.filter((b) => b.type === "tool_use").length : 0;
+  return `${who}: (${tools ? `${tools} tool call${tools === 1 ? "" : "s"}` : "no text"})`;
+}
+
+function messageBoxes() {
+  return [...messageList.querySelectorAll("input[type=checkbox]")];
+}
+
+// UUIDs to export, or null when nothing is unticked
+function selectedMessages() {
+  const boxes = messageBoxes();
+  if (boxes.every((b) => b.checked)) return null;
+  return boxes.filter((b) => b.checked).map((b) => b.value);
+}
+
+function updateSelectionSummary() {
+  const boxes = messageBoxes();
+  const picked = boxes.filter((b) => b.checked).length;
+  const dropped = [...includeToggles].filter((t) => !t.checked).length;
+  const parts = [picked === boxes.length ? `All ${boxes.length} messages` : `${picked} of ${boxes.length} messages`];
+  if (dropped) parts.push(`${dropped} block type${dropped === 1 ? "" : "s"} off`);
+  selectionSummary.textContent = `Selection: ${parts.join(", ")}`;
+  renderStats();
+}
+
+// Stats follow the branch and message selection, not the block toggles
+function renderStats() {
+  if (!captureData) return;
+  const [summary, ...details] = describeStats(conversationStats(captureData, exportOptions()));
+  metaStats.querySelector("summary").textContent = summary;
+  metaStats.querySelector("ul").replaceChildren(
+    ...details.map((line) => {
+      const li = document.createElement("li");
+      li.textContent = line;
+      return li;
+    })
+  );
+  metaStats.style.display = "block";
+}
+
+rangeBtn.addEventListener("click", () => {
+  const boxes = messageBoxes();
+  const from = parseInt(rangeFrom.value, 10) || 1;
+  const to = parseInt(rangeTo.value, 10) || boxes.length;
+  for (const box of boxes) {
+    const n = Number(box.dataset.n);
+    box.checked = n >= Math.min(from, to) && n <= Math.max(from, to);
+  }
+  updateSelectionSummary();
+});
+
+selectAllBtn.addEventListener("click", () => {
+  for (const box of messageBoxes()) box.checked = true;
+  rangeFrom.value = rangeTo.value = "";
+  updateSelectionSummary();
+});
+
+for (const input of includeToggles) input.addEventListener("change", updateSelectionSummary);
+
+function updateDeltaOption() {
+  if (!lastExport) {
+    deltaOption.style.display = "none";
+    deltaOnly.checked = false;
+    return;
+  }
+  // A cursor off the selected branch would give a full export anyway
+  // (lib/export.js), so say so rather than offer a delta
+  const stale = captureData && !deltaCursor(captureData, { ...exportOptions(), since: lastExport.messageUuid });
+  deltaOnly.disabled = !!stale;
+  if (stale) deltaOnly.checked = false;
+  deltaLabel.textContent = stale
+    ? "New messages only — last export isn't on this branch"
+    : `New messages only (since ${formatTime(lastExport.exportedAt)})`;
+  deltaOption.style.display = "flex";
+}
+
+// Formatter options from the popup controls. The block toggles start from
+// settings.include and only apply to exports from this popup.
+function exportOptions() {
+  const include = { ...settings.include };
+  for (const input of includeToggles) include[input.dataset.include] = input.checked;
+  return {
+    branch: branchMode.value,
+    leafId: branchMode.value === "leaf" ? leafSelect.value : null,
+    since: deltaOnly.checked ? lastExport?.messageUuid : null,
+    messages: selectedMessages(),
+    settings: { ...settings, include },
+  };
+}
+
+// A delta export with nothing new would only emit a header
+function hasNewMessages(data) {
+  const options = exportOptions();
+  if (!options.since) return true;
+  if (selectBranches(data, options)[0].messages.length) return true;
+  showToast("No new messages since last export");
+  return false;
+}
+
+// List what redaction will mask (lib/redact.js) and wait for the user to go
+// ahead. Resolves true straight away when there is nothing to mask.
+const REDACTION_PREVIEW_LIMIT = 30;
+
+function confirmRedactions(data) {
+  const findings = findRedactions(data, exportOptions());
+  if (!findings.length) return Promise.resolve(true);
+
+  const total = findings.reduce((n, f) => n + f.count, 0);
+  redactSummary.textContent = `${total} value${total === 1 ? "" : "s"} will be masked:`;
+  const items = findings.slice(0, REDACTION_PREVIEW_LIMIT).map((f) => {
+    const li = document.createElement("li");
+    li.textContent = `${f.label}: ${f.preview}${f.count > 1 ? ` ×${f.count}` : ""} — ${f.where.join(", ")}`;
+    return li;
+  });
+  if (findings.length > REDACTION_PREVIEW_LIMIT) {
+    const more = document.createElement("li");
+    more.textContent = `…and ${findings.length - REDACTION_PREVIEW_LIMIT} more`;
+    items.push(more);
+  }
+  redactList.replaceChildren(...items);
+  redactPreview.style.display = "block";
+
+  settleRedaction(false); // A preview still open from an earlier click is abandoned
+  return new Promise((resolve) => {
+    resolveRedaction = resolve;
+  });
+}
+
+function settleRedaction(confirmed) {
+  const resolve = resolveRedaction;
+  resolveRedaction = null;
+  resolve?.(confirmed);
+}
+
+redactConfirmBtn.addEventListener("click", () => {
+  redactPreview.style.display = "none";
+  settleRedaction(true);
+});
+
+redactCancelBtn.addEventListener("click", () => {
+  redactPreview.style.display = "none";
+  settleRedaction(false);
+  showToast("Export cancelled");
+});
+
+// Move the delta cursor to the newest message just exported
+async function recordExport(data) {
+  // A hand-picked selection may skip messages — keep the cursor where it was
+  if (selectedMessages()) return;
+  const messageUuid = lastMessageUuid(data, exportOptions());
+  const result = await chrome.runtime.sendMessage({
+    type: "RECORD_EXPORT",
+    conversationId: pageInfo.conversationId,
+    messageUuid,
+  });
+  if (result?.ok) {
+    lastExport = { messageUuid, exportedAt: new Date().toISOString() };
+    updateDeltaOption();
+  }
 }
 
 async function ensureCapture() {
@@ -83,19 +426,11 @@ async function ensureCapture() {
 
   if (status?.captured) return true;
 
-  // Trigger fetch — large conversations can take 15-30s
-  statusEl.textContent = "Fetching + embedding images (may take 60s)...";
-  statusEl.className = "status ready";
-  const result = await chrome.runtime.sendMessage({
-    type: "TRIGGER_EXPORT",
-    conversationId: pageInfo.conversationId,
-  });
-
-  if (result?.ok) {
-    showCaptured(result);
+  try {
+    showCaptured(await fetchCapture(pageInfo.conversationId));
     return true;
-  } else {
-    showToast("Fetch failed: " + (result?.error || "unknown"), true);
+  } catch (err) {
+    showToast(err.cancelled ? err.message : "Fetch failed: " + err.message, !err.cancelled);
     return false;
   }
 }
@@ -123,14 +458,13 @@ copyBtn.addEventListener("click", async () => {
       showToast("Export failed: " + (result?.error || "unknown"), true);
       return;
     }
+    if (!hasNewMessages(result.data)) return;
+    if (!(await confirmRedactions(result.data))) return;
 
-    const markdown = formatConversation(result.data, {
-      conversationId: result.conversationId,
-      name: result.name,
-    });
-
-    await navigator.clipboard.writeText(markdown);
-    showToast(`Copied! (${markdown.length.toLocaleString()} chars)`);
+    const file = buildExport("markdown", result, exportOptions());
+    await navigator.clipboard.writeText(file.text);
+    showToast(`Copied! (${file.summary})`);
+    await recordExport(result.data);
   } catch (err) {
     showToast("Copy failed: " + err.message, true);
   } finally {
@@ -160,27 +494,14 @@ downloadBtn.addEventListener("click", async () => {
       showToast("Export failed: " + (result?.error || "unknown"), true);
       return;
     }
+    if (!hasNewMessages(result.data)) return;
+    if (!(await confirmRedactions(result.data))) return;
 
-    const markdown = formatConversation(result.data, {
-      conversationId: result.conversationId,
-      name: result.name,
-    });
+    const file = buildExport("markdown", result, exportOptions());
+    await downloadExport(file);
 
-    const slug = (result.name || pageInfo.conversationId)
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, "-")
-      .slice(0, 60);
-    const filename = `claude-${slug}-${dateStamp()}.md`;
-
-    const blob = new Blob([markdown], { type: "text/markdown" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    a.click();
-    URL.revokeObjectURL(url);
-
-    showToast("Downloaded " + filename);
+    showToast("Downloaded " + file.filename);
+    await recordExport(result.data);
   } catch (err) {
     showToast("Download failed: " + err.message, true);
   } finally {
@@ -212,27 +533,14 @@ outlinerBtn.addEventListener("click", async () => {
       showToast("Export failed: " + (result?.error || "unknown"), true);
       return;
     }
+    if (!hasNewMessages(result.data)) return;
+    if (!(await confirmRedactions(result.data))) return;
 
-    const outlinerText = formatForOutliner(result.data, {
-      conversationId: result.conversationId,
-      name: result.name,
-    });
+    const file = buildExport("outliner", result, { ...exportOptions(), dialect: outlinerDialect.value });
+    await downloadExport(file);
 
-    const slug = (result.name || pageInfo.conversationId)
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, "-")
-      .slice(0, 60);
-    const filename = `outliner-${slug}-${dateStamp()}.md`;
-
-    const blob = new Blob([outlinerText], { type: "text/markdown" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    a.click();
-    URL.revokeObjectURL(url);
-
-    showToast("Outliner export: " + filename);
+    showToast(`${file.summary}: ${file.filename}`);
+    await recordExport(result.data);
   } catch (err) {
     showToast("Export failed: " + err.message, true);
   } finally {
@@ -261,52 +569,17 @@ bundleBtn.addEventListener("click", async () => {
       showToast("Export failed: " + (result?.error || "unknown"), true);
       return;
     }
+    if (!hasNewMessages(result.data)) return;
+    if (!(await confirmRedactions(result.data))) return;
 
     bundleBtn.textContent = "Building zip...";
 
-    const bundle = formatBundle(result.data, {
-      conversationId: result.conversationId,
-      name: result.name,
-    });
+    const file = buildExport("bundle", result, exportOptions());
+    const blob = await downloadExport(file);
 
-    // Load JSZip dynamically
-    const JSZip = await loadJSZip();
-    const zip = new JSZip();
-
-    // Add markdown — named after conversation
-    const mdSlug = (result.name || "conversation")
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, "-")
-      .slice(0, 60);
-    zip.file(`${mdSlug}.md`, bundle.markdown);
-
-    // Add extracted files
-    for (const file of bundle.files) {
-      if (file.type === "base64") {
-        zip.file(file.path, file.data, { base64: true });
-      } else {
-        zip.file(file.path, file.data);
-      }
-    }
-
-    // Generate and download
-    const blob = await zip.generateAsync({ type: "blob" });
-    const slug = (result.name || pageInfo.conversationId)
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, "-")
-      .slice(0, 60);
-    const filename = `claude-${slug}-${dateStamp()}.zip`;
-
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    a.click();
-    URL.revokeObjectURL(url);
-
-    const fileCount = bundle.files.length;
     const sizeMB = (blob.size / 1024 / 1024).toFixed(1);
-    showToast(`Bundle: ${fileCount} files, ${sizeMB}MB`);
+    showToast(`Bundle: ${file.summary}, ${sizeMB}MB`);
+    await recordExport(result.data);
   } catch (err) {
     showToast("Bundle failed: " + err.message, true);
   } finally {
@@ -315,22 +588,224 @@ bundleBtn.addEventListener("click", async () => {
   }
 });
 
-async function forceRefetch(conversationId) {
-  // Clear old capture so TRIGGER_EXPORT does a fresh fetch (with image embedding)
-  await chrome.storage.local.remove([`conv_${conversationId}`]);
-  statusEl.textContent = "Fetching + embedding images (may take 60s)...";
-  statusEl.className = "status ready";
+// Obsidian: note with frontmatter + attachments folder — see lib/obsidian.js
+obsidianBtn.addEventListener("click", async () => {
+  if (!pageInfo?.conversationId) return;
 
-  const result = await chrome.runtime.sendMessage({
-    type: "TRIGGER_EXPORT",
-    conversationId,
+  try {
+    obsidianBtn.disabled = true;
+    obsidianBtn.textContent = "Fetching with images...";
+
+    // Same as the bundle: attachments need a fresh fetch with embedded files
+    await forceRefetch(pageInfo.conversationId);
+
+    const result = await chrome.runtime.sendMessage({
+      type: "GET_CAPTURE_DATA",
+      conversationId: pageInfo.conversationId,
+    });
+
+    if (!result?.ok) {
+      showToast("Export failed: " + (result?.error || "unknown"), true);
+      return;
+    }
+    if (!hasNewMessages(result.data)) return;
+    if (!(await confirmRedactions(result.data))) return;
+
+    obsidianBtn.textContent = "Building zip...";
+
+    const file = buildExport("obsidian", result, exportOptions());
+    await downloadExport(file);
+
+    showToast(`Obsidian: ${file.summary} — unzip into your vault`);
+    await recordExport(result.data);
+  } catch (err) {
+    showToast("Obsidian export failed: " + err.message, true);
+  } finally {
+    obsidianBtn.disabled = false;
+    obsidianBtn.textContent = "Export to Obsidian (.zip)";
+  }
+});
+
+// Single-file HTML and canonical JSON / JSONL — see lib/html.js, lib/canonical.js
+for (const [btn, format] of [
+  [htmlBtn, "html"],
+  [jsonBtn, "json"],
+  [jsonlBtn, "jsonl"],
+]) {
+  btn.addEventListener("click", async () => {
+    if (!pageInfo?.conversationId) return;
+
+    try {
+      btn.disabled = true;
+
+      const captured = await ensureCapture();
+      if (!captured) return;
+
+      const result = await chrome.runtime.sendMessage({
+        type: "GET_CAPTURE_DATA",
+        conversationId: pageInfo.conversationId,
+      });
+
+      if (!result?.ok) {
+        showToast("Export failed: " + (result?.error || "unknown"), true);
+        return;
+      }
+      if (!hasNewMessages(result.data)) return;
+      if (!(await confirmRedactions(result.data))) return;
+
+      const file = buildExport(format, result, exportOptions());
+      await downloadExport(file);
+
+      showToast("Downloaded " + file.filename);
+      await recordExport(result.data);
+    } catch (err) {
+      showToast("Download failed: " + err.message, true);
+    } finally {
+      btn.disabled = false;
+    }
   });
+}
+
+bulkBtn.addEventListener("click", () => {
+  // Bulk runs in its own tab so it survives the popup closing
+  chrome.tabs.create({ url: chrome.runtime.getURL(`bulk/bulk.html?tab=${activeTabId}`) });
+});
 
-  if (!result?.ok) {
-    throw new Error(result?.error || "Fetch failed");
+function showPushOption() {
+  if (settings.destinations.some((d) => d.enabled)) pushBtn.style.display = "block";
+}
+
+// Queue for every enabled destination — see lib/outbox.js
+pushBtn.addEventListener("click", async () => {
+  if (!pageInfo?.conversationId) return;
+
+  try {
+    pushBtn.disabled = true;
+    const captured = await ensureCapture();
+    if (!captured) return;
+
+    const result = await chrome.runtime.sendMessage({
+      type: "PUSH_CAPTURE",
+      conversationId: pageInfo.conversationId,
+    });
+    if (!result?.ok) {
+      showToast("Send failed: " + (result?.error || "unknown"), true);
+      return;
+    }
+
+    const failed = result.results.filter((r) => !r.ok);
+    if (!failed.length) {
+      showToast(`Sent to ${result.results.map((r) => r.destination).join(", ")}`);
+    } else {
+      const { destination, error, willRetry } = failed[0];
+      showToast(`${destination}: ${error}${willRetry ? " — queued for retry" : ""}`, true);
+    }
+  } catch (err) {
+    showToast("Send failed: " + err.message, true);
+  } finally {
+    pushBtn.disabled = false;
   }
+});
+
+projectBtn.addEventListener("click", () => {
+  // Same resumable job runner as bulk export, scoped to the project
+  chrome.tabs.create({
+    url: chrome.runtime.getURL(`bulk/bulk.html?tab=${activeTabId}&project=${pageInfo.projectId}`),
+  });
+});
+
+archiveBtn.addEventListener("click", () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL("archive/archive.html") });
+});
+
+settingsBtn.addEventListener("click", () => {
+  chrome.runtime.openOptionsPage();
+});
 
-  showCaptured(result);
+async function forceRefetch(conversationId) {
+  showCaptured(await fetchCapture(conversationId));
+}
+
+// ═══════════════════════════════════════════════════════════
+// Fresh fetch (with embedded files) over a port to the background —
+// see the protocol in background.js. Resolves with the capture status;
+// rejects on failure, or with err.cancelled after Cancel.
+// ═══════════════════════════════════════════════════════════
+
+// Several buttons can each start one (Bundle, then Obsidian), so every
+// fetch settles on its own entry and Cancel reaches all of them
+const activeFetches = new Map(); // requestId → port
+
+function fetchCapture(conversationId) {
+  return new Promise((resolve, reject) => {
+    const requestId = crypto.randomUUID();
+    const port = chrome.runtime.connect({ name: "float-export-fetch" });
+    activeFetches.set(requestId, port);
+
+    statusEl.textContent = "Fetching conversation...";
+    statusEl.className = "status ready";
+    cancelBtn.style.display = "block";
+
+    const settle = (fn, value) => {
+      if (!activeFetches.delete(requestId)) return;
+      if (!activeFetches.size) cancelBtn.style.display = "none";
+      port.disconnect();
+      fn(value);
+    };
+
+    port.onMessage.addListener((message) => {
+      if (message.requestId !== requestId) return;
+      switch (message.type) {
+        case "started":
+          statusEl.textContent = "Fetching conversation + files...";
+          break;
+        case "progress":
+          showFetchProgress(message);
+          break;
+        case "done":
+          settle(resolve, message);
+          break;
+        case "error": {
+          const err = new Error(message.cancelled ? "Fetch cancelled" : message.error);
+          err.cancelled = !!message.cancelled;
+          if (err.cancelled) statusEl.textContent = "Fetch cancelled";
+          settle(reject, err);
+          break;
+        }
+      }
+    });
+    port.onDisconnect.addListener(() => settle(reject, new Error("Lost connection to the extension")));
+
+    port.postMessage({ type: "start", requestId, conversationId, tabId: activeTabId });
+  });
+}
+
+function showFetchProgress({ done, total, bytes, failed, skipped }) {
+  const mb = (bytes / 1048576).toFixed(1);
+  const problems = failed + skipped;
+  statusEl.textContent =
+    `Embedding files ${done}/${total} (${mb} MB)` +
+    (problems ? ` · ${problems} not embedded` : "") +
+    (done < total ? "..." : "");
+}
+
+cancelBtn.addEventListener("click", () => {
+  for (const [requestId, port] of activeFetches) port.postMessage({ type: "cancel", requestId });
+});
+
+// Save a buildExport() result (lib/export.js) with an anchor click; resolves
+// with the blob so callers can report its size
+async function downloadExport(file) {
+  const blob = file.files
+    ? await zipFiles(await loadJSZip(), file.files)
+    : new Blob([file.text], { type: file.type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = file.filename;
+  a.click();
+  URL.revokeObjectURL(url);
+  return blob;
 }
 
 async function loadJSZip() {
@@ -353,10 +828,6 @@ function formatTime(iso) {
   });
 }
 
-function dateStamp() {
-  return new Date().toISOString().slice(0, 10);
-}
-
 function showToast(msg, isError = false) {
   toast.textContent = msg;
   toast.className = `toast visible${isError ? " error" : ""}`;